@@ -1,8 +1,92 @@
-const { Client, GatewayIntentBits, Events, GuildMember, PermissionsBitField } = require('discord.js');
+const { Client, GatewayIntentBits, Events, GuildMember, AttachmentBuilder } = require('discord.js');
 const fs = require('fs').promises;
 const fsSync = require('fs');
 const path = require('path');
 const dotenv = require('dotenv');
+const { createStorage, createEmptyInviteData, normalizeInviteData } = require('./storage');
+const { createDebouncedSaver } = require('./storage/debouncedSaver');
+const { createKeyedQueue } = require('./lib/keyedQueue');
+const { CONFIDENCE, JOIN_SOURCES, attributeJoin, pruneDeletedInvites } = require('./lib/inviteAttribution');
+const {
+    RELATIONSHIP_SOURCES,
+    getOpenJoinRecord,
+    addJoinRecord,
+    closeJoinRecord,
+    syncJoinHistoryRecords,
+    removeJoinRecord,
+    getJoinRecords,
+    getInviterJoinRecords,
+    isActiveRelationship,
+    getInviterStats
+} = require('./lib/joinHistory');
+const { SUPPRESSION_REASONS, evaluateCredit } = require('./lib/creditRules');
+const { ruleMatches, getConditionProgress, getReachedTierIndex, getHeldTiers } = require('./lib/rewardRules');
+const {
+    isReferralMature,
+    getReferralMaturesAt,
+    getMaturityTimes,
+    scheduleMaturation,
+    takeDueMaturations,
+    getNextMaturationAt,
+    syncRoleSince,
+    clearRoleSince,
+    getRoleSince
+} = require('./lib/maturity');
+const {
+    CURRENT_SEASON,
+    getSeasonArchive,
+    getSeasonEnd,
+    findSeason,
+    resolvePeriod,
+    getNextSeasonBoundary,
+    getPeriodStandings,
+    archiveSeason
+} = require('./lib/seasons');
+const { addAdjustment, getAdjustments, getBonusTotal, getAdjustedUserIds } = require('./lib/adjustments');
+const { LEADERBOARD_PERIODS, rankCounts, createLeaderboardCache } = require('./lib/leaderboard');
+const { buildPagedMessage, parsePageCustomId } = require('./lib/pagination');
+const { validateConfig, collectConfiguredRoles } = require('./lib/configSchema');
+const {
+    getGuildOverrides,
+    resolveGuildConfig,
+    hasCustomRules,
+    buildRule,
+    validateRule,
+    customizeRules,
+    findRuleIndex,
+    setLogChannel,
+    setCommandAccess,
+    resetCommandAccess,
+    resetGuildConfig
+} = require('./lib/guildConfig');
+const { matchOfflineJoins, getOfflineReviews, addOfflineReview, takeOfflineReview } = require('./lib/offlineJoins');
+const {
+    getRetentionPolicy,
+    archiveGuildData,
+    purgeGuildData,
+    restoreGuildData,
+    getStoredGuildIds,
+    purgeExpiredArchives
+} = require('./lib/guildRetention');
+const { createCommandRegistry, hashDefinitions, getCommandScope } = require('./lib/commandRegistry');
+const { AUDIT_TYPES, buildRewardEntry, buildAdminEntry, parseDateRange, formatAuditEntry } = require('./lib/auditLog');
+const {
+    isPermissionFlag,
+    resolveAccess,
+    memberHasAccess,
+    describeAccess,
+    listAccessTargets,
+    applyCommandPermissions
+} = require('./lib/commandPermissions');
+const { mergeCandidateConfig, summarizePreview, formatPreviewReport } = require('./lib/rewardPreview');
+const {
+    FLAG_STATUS,
+    evaluateJoinSignals,
+    evaluateLeaveSignals,
+    flagRecord,
+    reviewRecordFlag,
+    isFakeRecord
+} = require('./lib/fakeInviteFilter');
 
 // Load .env file with explicit path
 const envPath = path.join(__dirname, '.env');
@@ -17,6 +101,11 @@ if (envResult.error) {
     }
 }
 
+// Preview mode (`npm run preview` / --dry-run, or INVITE_DRY_RUN=1): reward roles are evaluated
+// as usual but never added or removed; the startup pass writes what it would do to a report file
+const dryRunMode = process.argv.includes('--dry-run') || process.env.INVITE_DRY_RUN === '1';
+const DRY_RUN_REPORT_FILE = path.join(__dirname, 'dry-run-report.txt');
+
 // Initialize Discord client with necessary intents
 const client = new Client({
     intents: [
@@ -102,10 +191,11 @@ function flushStartupCombined() {
     startupBatching = false;
 }
 
-// Send a short confirmation to the configured logging channel if a similar entry
-// is not already queued (prevents duplicate notifications).
-function sendAdminActionConfirmation(text, inviterId, inviteeId) {
+// Send a short confirmation to the guild's log channel, or else to the configured logging channel
+// if a similar entry is not already queued (prevents duplicate notifications).
+async function sendAdminActionConfirmation(guild, text, inviterId, inviteeId) {
     try {
+        if (guild && await sendGuildLog(guild, text)) return;
         if (!logChannelReady || !logChannel) return;
 
         // If the queued logs already contain both inviter and invitee IDs, skip sending
@@ -123,6 +213,9 @@ function sendAdminActionConfirmation(text, inviterId, inviteeId) {
 
 async function initRemoteLoggerFromConfig(config) {
     try {
+        // Called again when config.json is reloaded; start from no channel
+        logChannelReady = false;
+        logChannel = null;
         const logging = config?.logging;
         if (!logging || !logging.enabled || !logging.channelId) return;
 
@@ -174,101 +267,673 @@ console.error = function (...args) {
     } catch (e) {}
 };
 
-// Data storage file
-const DATA_FILE = path.join(__dirname, 'inviteData.json');
-const MEMBER_INVITES_FILE = path.join(__dirname, 'memberInvites.json');
+// Storage backend is created once, from the `storage` section of config.json
+let storagePromise = null;
+function getStorage() {
+    if (!storagePromise) {
+        storagePromise = loadConfig().then(config => {
+            const storage = createStorage(__dirname, config.storage || {});
+            REAL_CONSOLE.log(`Using ${storage.name} storage backend`);
+            return storage;
+        });
+    }
+    return storagePromise;
+}
+
+// In-memory authoritative invite data. It is loaded from storage once and every handler
+// mutates this same object; storage only ever receives snapshots of it.
+let inviteDataPromise = null;
 
-// Load invite data from file
-async function loadInviteData() {
-    try {
-        const data = await fs.readFile(DATA_FILE, 'utf8');
-        return JSON.parse(data);
-    } catch (error) {
-        // File doesn't exist or is invalid, return default structure
-        return {
-            invites: {},
-            inviteCodes: {}, // Tracks invite usage for detecting new joins
-            memberInvites: {}, // PERSISTENT: Maps inviterId -> [inviteeIds]. This data persists independently of invite existence and maintains role rewards even if invites expire/delete
-            inviteCatalogues: {} // Full catalogue of all active invites
-        };
+// Load invite data (from the storage backend on first use, from memory afterwards)
+function loadInviteData() {
+    if (!inviteDataPromise) {
+        inviteDataPromise = (async () => {
+            try {
+                const storage = await getStorage();
+                const data = await storage.load();
+                return data ? normalizeInviteData(data) : createEmptyInviteData();
+            } catch (error) {
+                // Nothing stored yet or unreadable, return default structure
+                console.error('Error loading invite data, using empty data:', error);
+                return createEmptyInviteData();
+            }
+        })();
     }
+    return inviteDataPromise;
 }
 
-// Save invite data to file
+// Writes are debounced so bursts of events result in a single save
+const inviteDataSaver = createDebouncedSaver(async () => {
+    const [storage, data] = await Promise.all([getStorage(), loadInviteData()]);
+    await storage.save(data);
+}, {
+    delayMs: 1000,
+    maxWaitMs: 5000,
+    onError: error => console.error('Error saving invite data:', error)
+});
+
+// Mark invite data as changed. `data` must be the object returned by loadInviteData().
 async function saveInviteData(data) {
-    await fs.writeFile(DATA_FILE, JSON.stringify(data, null, 2), 'utf8');
-    // Also save memberInvites to a separate readable file
-    await saveMemberInvitesFile(data.memberInvites || {});
+    const current = await loadInviteData();
+    if (data !== current) {
+        throw new Error('saveInviteData called with a detached data object');
+    }
+    inviteDataSaver.schedule();
 }
 
-// Save memberInvites data to a separate readable file
-async function saveMemberInvitesFile(memberInvites) {
-    try {
-        // Create a formatted version with metadata
-        const formattedData = {
-            lastUpdated: new Date().toISOString(),
-            totalInviters: Object.keys(memberInvites).length,
-            totalInvitees: Object.values(memberInvites).reduce((sum, arr) => sum + arr.length, 0),
-            memberInvites: memberInvites,
-            summary: {}
-        };
-        
-        // Create summary with counts
-        for (const [inviterId, inviteeIds] of Object.entries(memberInvites)) {
-            formattedData.summary[inviterId] = {
-                inviteeCount: inviteeIds.length,
-                inviteeIds: inviteeIds
-            };
-        }
-        
-        await fs.writeFile(MEMBER_INVITES_FILE, JSON.stringify(formattedData, null, 2), 'utf8');
-        
-        // Verify file was created
-        const fileExists = fsSync.existsSync(MEMBER_INVITES_FILE);
-        if (fileExists) {
-            console.log(`✓ memberInvites.json file saved successfully`);
-        } else {
-            console.warn(`⚠ Warning: memberInvites.json file may not have been created`);
+// Write pending changes immediately (used on shutdown)
+async function flushInviteData() {
+    await inviteDataSaver.flush();
+}
+
+// Events that touch invite data run one at a time per guild, in arrival order
+const guildQueue = createKeyedQueue();
+function runGuildTask(guildId, task) {
+    return guildQueue.run(guildId || 'global', task).catch(error => {
+        console.error(`Error handling event for guild ${guildId}:`, error);
+    });
+}
+
+// Post to a guild's own log channel (set with /invite-config log-channel). Returns false when the
+// guild has none, so callers can fall back to the global log channel.
+async function sendGuildLog(guild, text) {
+    const data = await loadInviteData();
+    const channelId = getGuildOverrides(data, guild.id)?.logChannelId;
+    if (!channelId) return false;
+    const channel = guild.channels.cache.get(channelId);
+    if (!channel || !channel.isTextBased()) {
+        REAL_CONSOLE.warn(`Log channel ${channelId} for ${guild.name} not found or not a text channel`);
+        return false;
+    }
+    await channel.send({ content: text, allowedMentions: { parse: [] } });
+    return true;
+}
+
+// Append an entry to the storage backend's audit log (see lib/auditLog.js)
+function recordAuditEntry(entry) {
+    getStorage()
+        .then(storage => storage.recordAuditEntry(entry))
+        .catch(error => REAL_CONSOLE.error('Error recording audit entry:', error));
+}
+
+// Record a reward role add/remove in the audit log. `audit` is { rule, trigger, actorId, counts }
+// as built by updateInviterRoles.
+function recordRewardChange(guild, member, role, action, reason, audit) {
+    sendGuildLog(guild, `${action === 'add' ? '➕' : '➖'} <@${member.id}> ${action === 'add' ? 'gained' : 'lost'} **${role.name}** (${reason})`)
+        .catch(error => REAL_CONSOLE.error('Error sending reward change to guild log channel:', error));
+    recordAuditEntry(buildRewardEntry({ guildId: guild.id, userId: member.id, role, action, reason, ...audit }));
+}
+
+// Record an admin command that changed invite data (`action` is the command, e.g. "invites adjust")
+function recordAdminAction(guild, actorId, action, { userId = null, details = null } = {}) {
+    recordAuditEntry(buildAdminEntry({ guildId: guild.id, actorId, action, userId, details }));
+}
+
+// Get (and create if missing) the inviterId -> [inviteeIds] map for a single guild.
+// It lists every invitee ever credited, including those who left; use getRewardInviteeIds for rewards.
+function getGuildMemberInvites(data, guildId) {
+    if (!data.memberInvites) data.memberInvites = {};
+    if (!data.memberInvites[guildId]) data.memberInvites[guildId] = {};
+    return data.memberInvites[guildId];
+}
+
+// Invitees of an inviter who are still active on their credit (left members excluded)
+function getActiveInviteeIds(data, guildId, inviterId) {
+    const inviteeIds = getGuildMemberInvites(data, guildId)[inviterId] || [];
+    return inviteeIds.filter(inviteeId => isActiveRelationship(data, guildId, inviterId, inviteeId));
+}
+
+// Invitees that count toward an inviter's rewards: active and not flagged as fake
+// With a config, referrals still pending under referralMaturity are left out as well
+function getRewardInviteeIds(data, guildId, inviterId, config = null, now = Date.now()) {
+    return getActiveInviteeIds(data, guildId, inviterId).filter(inviteeId => {
+        const record = getOpenJoinRecord(data, guildId, inviteeId);
+        if (isFakeRecord(record)) return false;
+        return !config || isReferralMature(record, config, now);
+    });
+}
+
+// Find the current inviter of a member within a single guild
+function findInviterOf(data, guildId, inviteeId) {
+    const guildInvites = data.memberInvites?.[guildId] || {};
+    for (const [inviterId, inviteeIds] of Object.entries(guildInvites)) {
+        if (inviteeIds.includes(inviteeId) && isActiveRelationship(data, guildId, inviterId, inviteeId)) return inviterId;
+    }
+    return null;
+}
+
+// Assign legacy (pre-v2) relationships to the guilds they belong to.
+// A relationship goes to every guild the invitee is in; failing that, every guild the inviter is in.
+// With a single guild everything is assigned to it. Anything unresolved stays in legacyMemberInvites.
+async function migrateLegacyMemberInvites(data, guilds) {
+    const legacy = data.legacyMemberInvites;
+    if (!legacy || Object.keys(legacy).length === 0) return false;
+
+    const guildList = [...guilds];
+    if (guildList.length === 0) return false;
+
+    const isMemberOf = async (guild, userId) => {
+        const member = await guild.members.fetch(userId).catch(() => null);
+        return !!member;
+    };
+
+    const unresolved = {};
+    let migrated = 0;
+
+    for (const [inviterId, inviteeIds] of Object.entries(legacy)) {
+        for (const inviteeId of inviteeIds) {
+            let targets = [];
+            if (guildList.length === 1) {
+                targets = guildList;
+            } else {
+                for (const guild of guildList) {
+                    if (await isMemberOf(guild, inviteeId)) targets.push(guild);
+                }
+                if (targets.length === 0) {
+                    for (const guild of guildList) {
+                        if (await isMemberOf(guild, inviterId)) targets.push(guild);
+                    }
+                }
+            }
+
+            if (targets.length === 0) {
+                if (!unresolved[inviterId]) unresolved[inviterId] = [];
+                unresolved[inviterId].push(inviteeId);
+                continue;
+            }
+
+            for (const guild of targets) {
+                const guildInvites = getGuildMemberInvites(data, guild.id);
+                if (!guildInvites[inviterId]) guildInvites[inviterId] = [];
+                if (!guildInvites[inviterId].includes(inviteeId)) guildInvites[inviterId].push(inviteeId);
+            }
+            migrated++;
         }
-    } catch (error) {
-        console.error('Error saving memberInvites file:', error);
-        console.error(`File path attempted: ${MEMBER_INVITES_FILE}`);
     }
+
+    if (Object.keys(unresolved).length > 0) {
+        data.legacyMemberInvites = unresolved;
+        const count = Object.values(unresolved).reduce((sum, arr) => sum + arr.length, 0);
+        console.warn(`Could not assign ${count} legacy invite relationships to a guild; keeping them in legacyMemberInvites`);
+    } else {
+        delete data.legacyMemberInvites;
+    }
+
+    console.log(`Migrated ${migrated} legacy invite relationships to per-guild storage`);
+    return true;
+}
+
+// Snapshot entry for a single invite (what attribution needs to diff against)
+function toInviteSnapshot(invite) {
+    return {
+        uses: invite.uses || 0,
+        inviterId: invite.inviter?.id || null,
+        code: invite.code,
+        maxUses: invite.maxUses || null,
+        expiresAt: invite.expiresAt?.getTime() || null,
+        channelId: invite.channel?.id || invite.channelId || null
+    };
 }
 
-// Get all invites for a guild
+// Get all invites for a guild. Returns null if they could not be fetched, so callers
+// never mistake a failed fetch for "every invite was deleted".
 async function fetchInvites(guild) {
     try {
         const invites = await guild.invites.fetch();
         const inviteMap = {};
         invites.forEach(invite => {
-            inviteMap[invite.code] = {
-                uses: invite.uses || 0,
-                inviterId: invite.inviter?.id || null,
-                code: invite.code
-            };
+            inviteMap[invite.code] = toInviteSnapshot(invite);
         });
         return inviteMap;
     } catch (error) {
         console.error(`Error fetching invites for ${guild.name}:`, error);
-        return {};
+        return null;
     }
 }
 
-// Find who invited a member
-async function findInviter(member, oldInvites, newInvites) {
-    for (const code in newInvites) {
-        const oldInvite = oldInvites[code];
-        const newInvite = newInvites[code];
-        
-        if (!oldInvite || newInvite.uses > oldInvite.uses) {
-            return {
-                inviterId: newInvite.inviterId,
-                code: code
-            };
+// Key used for the vanity URL when it is diffed alongside regular invites
+const VANITY_SNAPSHOT_KEY = '__vanity__';
+
+// Vanity URL usage for a guild, or null if it has none or the bot cannot see it
+async function fetchVanitySnapshot(guild) {
+    if (!guild.vanityURLCode && !guild.features?.includes('VANITY_URL')) return null;
+    try {
+        const vanity = await guild.fetchVanityData();
+        if (!vanity?.code) return null;
+        return { code: vanity.code, uses: vanity.uses || 0 };
+    } catch (error) {
+        return null;
+    }
+}
+
+// Join source for a join no invite or vanity use accounts for. Discord does not report
+// Server Discovery joins directly, so for discoverable guilds they are the likely source.
+function classifyUntrackedJoin(guild) {
+    return guild.features?.includes('DISCOVERABLE') ? JOIN_SOURCES.DISCOVERY : JOIN_SOURCES.UNKNOWN;
+}
+
+// Find who invited a member by diffing invite snapshots (see lib/inviteAttribution.js).
+// Unclaimed uses are kept in data.unclaimedInviteUses so back-to-back joins can be resolved.
+// The vanity URL is only compared when both snapshots have it.
+function findInviter(data, guildId, oldInvites, newInvites, oldVanity = null, newVanity = null) {
+    if (!data.unclaimedInviteUses) data.unclaimedInviteUses = {};
+
+    const withVanity = (invites, vanity) => ({
+        ...invites,
+        [VANITY_SNAPSHOT_KEY]: { code: vanity.code, uses: vanity.uses, inviterId: null, source: JOIN_SOURCES.VANITY }
+    });
+    const compareVanity = oldVanity && newVanity && oldVanity.code === newVanity.code;
+
+    const result = attributeJoin({
+        oldInvites: compareVanity ? withVanity(oldInvites, oldVanity) : oldInvites,
+        newInvites: compareVanity ? withVanity(newInvites, newVanity) : newInvites,
+        leftovers: data.unclaimedInviteUses[guildId] || []
+    });
+
+    if (result.leftovers.length > 0) {
+        data.unclaimedInviteUses[guildId] = result.leftovers;
+    } else {
+        delete data.unclaimedInviteUses[guildId];
+    }
+
+    return result;
+}
+
+// Record how a member's inviter was determined (confidence: certain / ambiguous / unknown)
+function recordJoinAttribution(data, guildId, memberId, attribution) {
+    if (!data.joinAttributions) data.joinAttributions = {};
+    if (!data.joinAttributions[guildId]) data.joinAttributions[guildId] = {};
+    data.joinAttributions[guildId][memberId] = {
+        inviterId: attribution.inviterId || null,
+        code: attribution.code || null,
+        source: attribution.source || JOIN_SOURCES.INVITE,
+        confidence: attribution.confidence,
+        candidates: (attribution.candidates || []).map(c => ({ code: c.code, inviterId: c.inviterId })),
+        manual: attribution.manual || false,
+        recordedAt: new Date().toISOString()
+    };
+}
+
+function clearJoinAttribution(data, guildId, memberId) {
+    if (data.joinAttributions?.[guildId]) delete data.joinAttributions[guildId][memberId];
+}
+
+// Bring join history in line with the guild at startup (see syncJoinHistoryRecords):
+// - relationships that predate join history get an `imported` record
+// - open records of members who left while the bot was offline are marked as left
+async function syncJoinHistory(data, guild) {
+    // Only trust the member list if it was fully fetched
+    const members = await guild.members.fetch().catch(() => null);
+    const { imported, departed } = syncJoinHistoryRecords(data, guild.id, {
+        memberInvites: getGuildMemberInvites(data, guild.id),
+        memberIds: members ? new Set(members.keys()) : null,
+        joinedAtOf: inviteeId => guild.members.cache.get(inviteeId)?.joinedAt?.toISOString() || null
+    });
+    if (imported > 0) console.log(`Imported ${imported} existing relationships into join history for ${guild.name}`);
+    if (departed > 0) console.log(`Marked ${departed} invitees who left while the bot was offline as left in ${guild.name}`);
+    return imported;
+}
+
+// One line describing a join history record, for command replies
+function formatJoinRecord(record) {
+    const toTimestamp = iso => (iso ? `<t:${Math.floor(new Date(iso).getTime() / 1000)}:d>` : 'unknown date');
+    const parts = [`joined ${toTimestamp(record.joinedAt)}`];
+    if (record.code) parts.push(`via \`${record.code}\``);
+    if (record.channelId) parts.push(`in <#${record.channelId}>`);
+    if (record.leftAt) parts.push(`left ${toTimestamp(record.leftAt)}`);
+    if (record.removedAt) parts.push(`removed ${toTimestamp(record.removedAt)}${record.removedBy ? ` by <@${record.removedBy}>` : ''}`);
+    let source = record.source;
+    if (record.createdBy) source += ` by <@${record.createdBy}>`;
+    const flag = record.fake ? ` · ${record.fake.status} as fake (${record.fake.reasons.join(', ')})` : '';
+    return `${parts.join(' ')} · ${source}${flag}`;
+}
+
+// Leaderboard rankings per guild and period; invalidated whenever a guild's relationships change
+const leaderboardCache = createLeaderboardCache();
+
+const LEADERBOARD_PERIOD_LABELS = {
+    [LEADERBOARD_PERIODS.ALL_TIME]: 'All time',
+    [LEADERBOARD_PERIODS.LAST_30_DAYS]: 'Last 30 days',
+    [LEADERBOARD_PERIODS.SEASON]: 'Current season'
+};
+
+// Rank inviters by reward-eligible invitees credited within the period plus adjustments (cached)
+function getLeaderboard(data, guild, config, period) {
+    return leaderboardCache.get(guild.id, period, () => {
+        let range = null;
+        if (period === LEADERBOARD_PERIODS.LAST_30_DAYS) {
+            range = resolvePeriod({ lastDays: 30 }, { seasons: config.seasons, data, guildId: guild.id });
+        } else if (period === LEADERBOARD_PERIODS.SEASON) {
+            range = resolvePeriod({ season: CURRENT_SEASON }, { seasons: config.seasons, data, guildId: guild.id });
+            if (!range) return [];
+        }
+
+        const counts = {};
+        for (const inviterId of Object.keys(getGuildMemberInvites(data, guild.id))) {
+            let inviteeIds = getRewardInviteeIds(data, guild.id, inviterId, config);
+            if (range) {
+                inviteeIds = inviteeIds.filter(inviteeId => {
+                    const joinedAt = Date.parse(getOpenJoinRecord(data, guild.id, inviteeId)?.joinedAt);
+                    return joinedAt >= range.from && joinedAt < range.to;
+                });
+            }
+            counts[inviterId] = inviteeIds.length;
+        }
+        // Staff adjustments count too, even for users without any real invitee
+        for (const userId of getAdjustedUserIds(data, guild.id)) {
+            counts[userId] = Math.max((counts[userId] || 0) + getBonusTotal(data, guild.id, userId, range), 0);
+        }
+        return rankCounts(counts);
+    });
+}
+
+// One page of the leaderboard as an embed with previous/next buttons
+function buildLeaderboardPage(data, guild, config, period, page, viewerId) {
+    const ranking = getLeaderboard(data, guild, config, period);
+    const lines = ranking.map(entry => `**#${entry.rank}** <@${entry.inviterId}> — ${entry.count} invitee${entry.count === 1 ? '' : 's'}`);
+    const viewer = ranking.find(entry => entry.inviterId === viewerId);
+    let header = viewer ? `Your rank: **#${viewer.rank}** (${viewer.count})` : 'You are not ranked yet.';
+    let emptyText = 'No invitees credited yet.';
+    if (period === LEADERBOARD_PERIODS.SEASON) {
+        const season = findSeason(config.seasons, data, guild.id, CURRENT_SEASON);
+        if (season) {
+            header = `**${season.name}**\n${header}`;
+        } else {
+            emptyText = 'No season is running right now.';
         }
     }
-    return null;
+    return buildPagedMessage({
+        title: `Invite leaderboard · ${LEADERBOARD_PERIOD_LABELS[period]}`,
+        header,
+        lines,
+        emptyText,
+        page,
+        customIdPrefix: `leaderboard:${period}`
+    });
+}
+
+// One page of /list-invites: active invitees with details, then past relationships
+async function buildInviteeListPage(data, guild, config, inviterId, page) {
+    const inviteeIds = getActiveInviteeIds(data, guild.id, inviterId);
+    const stats = getInviterStats(data, guild.id, inviterId);
+    // Past relationships (invitee left or mapping removed) from join history
+    const pastRecords = getInviterJoinRecords(data, guild.id, inviterId)
+        .filter(record => record.leftAt || record.removedAt);
+
+    if (inviteeIds.length === 0 && pastRecords.length === 0 && getAdjustments(data, guild.id, inviterId).length === 0) return null;
+
+    // Fetch invitee members and build a list
+    const lines = [];
+    for (const inviteeId of inviteeIds) {
+        const record = getOpenJoinRecord(data, guild.id, inviteeId);
+        const maturesAt = record ? getReferralMaturesAt(record, config) : null;
+        const pending = maturesAt ? ` · pending until <t:${Math.floor(maturesAt / 1000)}:d>` : '';
+        const details = record && record.inviterId === inviterId ? ` — ${formatJoinRecord(record)}${pending}` : '';
+        const inviteeMember = await guild.members.fetch(inviteeId).catch(() => null);
+        if (inviteeMember) {
+            lines.push(`<@${inviteeMember.id}> (${inviteeMember.user.tag})${details}`);
+        } else {
+            lines.push(`<@${inviteeId}> (not in guild)${details}`);
+        }
+    }
+    if (pastRecords.length > 0) {
+        lines.push(`**History** (${pastRecords.length} past)`);
+        lines.push(...pastRecords.map(record => `<@${record.inviteeId}> — ${formatJoinRecord(record)}`));
+    }
+
+    const adjustments = getAdjustments(data, guild.id, inviterId);
+    const bonus = getBonusTotal(data, guild.id, inviterId);
+    const statsText = `${stats.total} total, ${stats.active} active, ${stats.left} left, ${stats.fake} fake, ${stats.rejoined} rejoined, ${formatSigned(bonus)} bonus`;
+    if (adjustments.length > 0) {
+        lines.push(`**Adjustments** (${adjustments.length})`);
+        lines.push(...adjustments.map(entry => `${formatSigned(entry.amount)} — ${entry.reason} · by <@${entry.by}> <t:${Math.floor(Date.parse(entry.at) / 1000)}:d>`));
+    }
+    return buildPagedMessage({
+        title: 'Invitees',
+        header: `<@${inviterId}> (${statsText})`,
+        lines,
+        page,
+        customIdPrefix: `list-invites:${inviterId}`
+    });
+}
+
+// Whether the member behind an interaction may use a command (or one of its subcommands) in the
+// interaction's guild, going by the guild's effective commandPermissions
+async function canUseCommand(interaction, commandName, subcommand = null) {
+    const config = await loadGuildConfig(interaction.guild.id);
+    const access = resolveAccess(config.commandPermissions, commandName, subcommand);
+    return memberHasAccess(interaction.member, interaction.user.id, access);
+}
+
+// Previous/next buttons on paginated replies (/leaderboard, /list-invites)
+async function handlePageButton(interaction) {
+    const { parts, page } = parsePageCustomId(interaction.customId);
+    const [kind, key, ...extra] = parts;
+    const guild = interaction.guild;
+    // Each kind of page is guarded like the command that produced it
+    const commandOf = {
+        leaderboard: ['leaderboard'],
+        'list-invites': ['list-invites'],
+        'invite-config': ['invite-config', key],
+        'offline-joins': ['offline-joins', 'list'],
+        'invite-audit': ['invite-audit']
+    };
+    if (!guild || !commandOf[kind]) return;
+
+    try {
+        if (!await canUseCommand(interaction, ...commandOf[kind])) {
+            await interaction.reply({ content: 'You do not have permission to use this.', ephemeral: true });
+            return;
+        }
+
+        const data = await loadInviteData();
+        const config = await loadGuildConfig(guild.id);
+        let payload;
+        if (kind === 'leaderboard') {
+            payload = buildLeaderboardPage(data, guild, config, key, page, interaction.user.id);
+        } else if (kind === 'invite-config') {
+            payload = key === 'permissions'
+                ? buildCommandAccessPage(data, guild, config, page)
+                : buildGuildConfigPage(data, guild, config, page);
+        } else if (kind === 'offline-joins') {
+            payload = buildOfflineReviewPage(data, guild, page);
+        } else if (kind === 'invite-audit') {
+            const decode = value => (value === '-' ? null : value);
+            const [from, to, type] = extra.map(decode);
+            payload = await buildAuditPage(guild, {
+                userId: decode(key),
+                from: from !== null ? Number(from) : null,
+                to: to !== null ? Number(to) : null,
+                type
+            }, page);
+        } else {
+            payload = await buildInviteeListPage(data, guild, config, key, page);
+        }
+        if (!payload) {
+            await interaction.update({ content: `No invitees found for <@${key}>.`, embeds: [], components: [] });
+            return;
+        }
+        await interaction.update(payload);
+    } catch (error) {
+        REAL_CONSOLE.error(`Error updating ${kind} page:`, error);
+    }
+}
+
+// The /invite-config view: where the rules come from, each rule with its condition, the log channel
+function buildGuildConfigPage(data, guild, config, page) {
+    const overrides = getGuildOverrides(data, guild.id);
+    const custom = hasCustomRules(data, guild.id);
+    const lines = config.rewardRules.map(rule => {
+        const role = getRoleFromConfig(guild, rule.roleId, rule.roleName);
+        const roleText = role ? `<@&${role.id}>` : `\`${rule.roleName || rule.roleId || 'no role'}\` (role not found)`;
+        return `**${rule.name}** → ${roleText}\n\`${JSON.stringify(rule.when)}\``;
+    });
+    const header = [
+        custom
+            ? `Reward rules: customized for this server${overrides.updatedBy ? ` (last change by <@${overrides.updatedBy}>)` : ''}`
+            : 'Reward rules: default from config.json',
+        `Log channel: ${overrides?.logChannelId ? `<#${overrides.logChannelId}>` : 'not set'}`,
+        `Command access: ${Object.keys(overrides?.commandPermissions || {}).length} command(s) customized here (see \`/invite-config permissions\`)`,
+        `Ladders: ${config.rewardLadders.length} (config.json)`
+    ].join('\n');
+    return buildPagedMessage({
+        title: `Invite config for ${guild.name}`,
+        header,
+        lines,
+        emptyText: 'No reward rules.',
+        page,
+        customIdPrefix: 'invite-config:view'
+    });
+}
+
+// /invite-config permissions: who may use each command and subcommand here
+function buildCommandAccessPage(data, guild, config, page) {
+    const custom = getGuildOverrides(data, guild.id)?.commandPermissions || {};
+    const lines = listAccessTargets(commands.definitions()).map(target => {
+        const [commandName, subcommand] = target.split(' ');
+        const access = resolveAccess(config.commandPermissions, commandName, subcommand);
+        return `\`/${target}\`: ${describeAccess(access)}${custom[target] ? ' *(this server)*' : ''}`;
+    });
+    return buildPagedMessage({
+        title: `Command access in ${guild.name}`,
+        header: 'A subcommand without its own entry follows its command. Change access with `/invite-config permission-allow`, `permission-revoke` and `permission-reset`.',
+        lines,
+        page,
+        customIdPrefix: 'invite-config:permissions'
+    });
+}
+
+// The /offline-joins review queue, oldest join first
+function buildOfflineReviewPage(data, guild, page) {
+    const entries = [...getOfflineReviews(data, guild.id)].sort((a, b) => Date.parse(a.joinedAt) - Date.parse(b.joinedAt));
+    const lines = entries.map(entry => {
+        const candidates = entry.candidates
+            .map(c => `\`${c.code}\` (${c.inviterId ? `<@${c.inviterId}>` : 'vanity URL'}, +${c.uses})`)
+            .join(', ');
+        return `<@${entry.memberId}> joined <t:${Math.floor(Date.parse(entry.joinedAt) / 1000)}:f> — ${candidates}`;
+    });
+    return buildPagedMessage({
+        title: `Offline joins to review in ${guild.name}`,
+        header: 'These members joined while the bot was offline and the invites they used could not be told apart. Credit one with `/offline-joins resolve` or drop it with `/offline-joins dismiss`.',
+        lines,
+        emptyText: 'Nothing to review.',
+        page,
+        customIdPrefix: 'offline-joins:list'
+    });
+}
+
+// /invite-audit returns at most this many entries (newest first)
+const MAX_AUDIT_RESULTS = 500;
+
+// The /invite-audit view. `filter` is { userId, type, from, to } (ms timestamps or null); the
+// buttons carry it in their custom ID so the query can be re-run for another page.
+async function buildAuditPage(guild, filter, page) {
+    const storage = await getStorage();
+    const entries = await storage.queryAuditEntries({
+        guildId: guild.id,
+        userId: filter.userId,
+        type: filter.type,
+        from: filter.from !== null ? new Date(filter.from).toISOString() : null,
+        to: filter.to !== null ? new Date(filter.to).toISOString() : null,
+        limit: MAX_AUDIT_RESULTS
+    });
+    const scope = [
+        filter.userId ? `<@${filter.userId}>` : null,
+        filter.type ? `${filter.type} entries` : null,
+        filter.from !== null ? `from <t:${Math.floor(filter.from / 1000)}:f>` : null,
+        filter.to !== null ? `until <t:${Math.floor(filter.to / 1000)}:f>` : null
+    ].filter(Boolean).join(', ');
+    const encode = value => (value === null ? '-' : String(value));
+    return buildPagedMessage({
+        title: `Audit log for ${guild.name}`,
+        header: `${scope ? `Showing ${scope}. ` : ''}Newest first${entries.length === MAX_AUDIT_RESULTS ? `, limited to the latest ${MAX_AUDIT_RESULTS}` : ''}.`,
+        lines: entries.map(formatAuditEntry),
+        emptyText: 'No audit entries match.',
+        page,
+        customIdPrefix: ['invite-audit', filter.userId, filter.from, filter.to, filter.type].map(encode).join(':')
+    });
+}
+
+// Uploaded configs for /invite-rules preview larger than this are refused
+const MAX_PREVIEW_CONFIG_BYTES = 1024 * 1024;
+
+// Show adjustment amounts with an explicit sign (+3, -2, 0)
+function formatSigned(amount) {
+    return amount > 0 ? `+${amount}` : `${amount}`;
+}
+
+// Stats, held rewards and progress toward the next reward for one member (used by /invites show)
+async function buildInviteSummary(data, guild, config, user) {
+    const stats = getInviterStats(data, guild.id, user.id);
+    const pending = getActiveInviteeIds(data, guild.id, user.id)
+        .filter(inviteeId => !isReferralMature(getOpenJoinRecord(data, guild.id, inviteeId), config)).length;
+    const member = await guild.members.fetch(user.id).catch(() => null);
+    const invitees = await fetchRewardInvitees(data, guild, user.id, config);
+    const context = createRuleContext(data, guild, config, user.id);
+    const bonus = getBonusTotal(data, guild.id, user.id);
+    const holds = role => Boolean(role && member?.roles.cache.has(role.id));
+    const roleLabel = (role, fallback) => (role ? `<@&${role.id}>` : `\`${fallback}\` (role not found)`);
+    const describeProgress = progress => (progress.target !== undefined
+        ? `${Math.min(progress.count, progress.target)}/${progress.target} invitees`
+        : 'conditions not met yet');
+
+    const lines = [
+        `**Invite stats for <@${user.id}>**`,
+        `Total: ${stats.total} · Active: ${stats.active} · Left: ${stats.left} · Fake: ${stats.fake}${pending > 0 ? ` · Pending: ${pending}` : ''} · Bonus: ${formatSigned(bonus)}`
+    ];
+
+    const held = [];
+    const progressLines = [];
+    for (const rule of config.rewardRules || []) {
+        const role = getRoleFromConfig(guild, rule.roleId, rule.roleName);
+        if (holds(role)) {
+            held.push(roleLabel(role));
+            continue;
+        }
+        const progress = getConditionProgress(rule.when, invitees, context);
+        progressLines.push(`${roleLabel(role, rule.roleName || rule.roleId || rule.name)}: ${progress.met ? 'earned, updating shortly' : describeProgress(progress)}`);
+    }
+    for (const ladder of config.rewardLadders || []) {
+        ladder.tiers.forEach(tier => {
+            const role = getRoleFromConfig(guild, tier.roleId, tier.roleName);
+            if (holds(role)) held.push(roleLabel(role));
+        });
+        const nextTier = ladder.tiers[getReachedTierIndex(ladder, invitees, context) + 1];
+        if (nextTier) {
+            const role = getRoleFromConfig(guild, nextTier.roleId, nextTier.roleName);
+            const progress = getConditionProgress(nextTier.when, invitees, context);
+            progressLines.push(`${ladder.name} → ${roleLabel(role, nextTier.name)}: ${describeProgress(progress)}`);
+        }
+    }
+
+    lines.push(`Reward roles: ${held.length > 0 ? held.join(', ') : 'none yet'}`);
+    if (progressLines.length > 0) lines.push('**Next rewards**', ...progressLines);
+
+    let message = lines.join('\n');
+    if (message.length > 2000) message = message.slice(0, 1990) + '\n…';
+    return message;
+}
+
+// Most recent suppressed credits kept per guild
+const MAX_SUPPRESSED_CREDITS = 1000;
+
+// Log and keep a join that was not credited to an inviter (self-invite, rejoin cooldown, ...)
+function recordSuppressedCredit(data, guildId, entry) {
+    if (!data.suppressedCredits) data.suppressedCredits = {};
+    if (!data.suppressedCredits[guildId]) data.suppressedCredits[guildId] = [];
+    const list = data.suppressedCredits[guildId];
+    list.push({ ...entry, at: new Date().toISOString() });
+    if (list.length > MAX_SUPPRESSED_CREDITS) list.splice(0, list.length - MAX_SUPPRESSED_CREDITS);
+    console.warn(`Suppressed invite credit for ${entry.inviteeId} (inviter ${entry.inviterId}, code ${entry.code || 'n/a'}): ${entry.reason}${entry.detail ? ` - ${entry.detail}` : ''}`);
+}
+
+// Lifetime join counts per source(invite / vanity / discovery / unknown), plus ambiguous invite joins
+function recordJoinSource(data, guildId, attribution) {
+    if (!data.joinSources) data.joinSources = {};
+    if (!data.joinSources[guildId]) data.joinSources[guildId] = {};
+    const counts = data.joinSources[guildId];
+    const key = attribution.confidence === CONFIDENCE.AMBIGUOUS ? 'ambiguous' : attribution.source;
+    counts[key] = (counts[key] || 0) + 1;
 }
 
 // Helper function to get a single role from ID or name
@@ -284,226 +949,166 @@ function getRoleFromConfig(guild, roleId, roleName) {
     return null;
 }
 
-// Helper function to get multiple roles from arrays (for required roles checking)
-function getRequiredRoles(guild, roleIds, roleNames) {
-    const roles = [];
-    
-    if (Array.isArray(roleIds)) {
-        for (const roleId of roleIds) {
-            if (roleId) {
-                const role = guild.roles.cache.get(roleId);
-                if (role && !roles.find(r => r.id === role.id)) roles.push(role);
-            }
-        }
-    } else if (roleIds) {
-        const role = guild.roles.cache.get(roleIds);
-        if (role) roles.push(role);
+// Fetch an inviter's reward-eligible invitees that are still members of the guild
+async function fetchRewardInvitees(data, guild, inviterId, config) {
+    const invitees = [];
+    for (const inviteeId of getRewardInviteeIds(data, guild.id, inviterId, config)) {
+        const inviteeMember = await guild.members.fetch(inviteeId).catch(() => null);
+        if (inviteeMember) invitees.push(inviteeMember);
     }
-    
-    if (Array.isArray(roleNames)) {
-        for (const roleName of roleNames) {
-            if (roleName) {
-                const role = guild.roles.cache.find(r => r.name === roleName);
-                if (role && !roles.find(r => r.id === role.id)) roles.push(role);
-            }
+    return invitees;
+}
+
+// Lookups the condition evaluator needs for timed and period-scoped conditions, plus the
+// inviter's bonus/penalty adjustments (within the period, if any)
+function createRuleContext(data, guild, config, inviterId, now = Date.now()) {
+    const toRange = period => resolvePeriod(period, { seasons: config.seasons || [], data, guildId: guild.id, now });
+    return {
+        now,
+        roleSince: (memberId, roleId) => getRoleSince(data, guild.id, memberId, roleId),
+        resolvePeriod: toRange,
+        bonus: period => {
+            if (!period) return getBonusTotal(data, guild.id, inviterId);
+            const range = toRange(period);
+            return range ? getBonusTotal(data, guild.id, inviterId, range) : 0;
+        },
+        joinedAt: memberId => {
+            const record = getOpenJoinRecord(data, guild.id, memberId);
+            return record?.joinedAt ? Date.parse(record.joinedAt) : null;
         }
-    } else if (roleNames) {
-        const role = guild.roles.cache.find(r => r.name === roleNames);
-        if (role && !roles.find(r => r.id === role.id)) roles.push(role);
-    }
-    
-    return roles;
+    };
 }
 
-// Update inviter roles based on threshold count (3 invitees with any of the required roles)
-// NOTE: Uses data.memberInvites which persists independently of invite existence
+// Re-evaluate every reward rule for an inviter and add or remove roles to match
+// NOTE: Uses data.memberInvites[guild.id] which persists independently of invite existence
 // Role rewards are maintained even if the original invite expires or is deleted
-async function updateInviterThresholdRoles(inviterId, guild, config, data) {
-    if (!inviterId) return;
-    
+// With `dryRun` nothing is changed in Discord. Returns { inviterId, inviterTag, inviteeCount,
+// changes: [{ action, role, source }] } (null if the inviter is not in the guild).
+// `actorId` is the admin whose command caused the re-evaluation, for the audit log.
+async function updateInviterRoles(inviterId, guild, config, data, trigger = 'update', { dryRun = dryRunMode, actorId = null } = {}) {
+    if (!inviterId) return null;
+
     const inviter = await guild.members.fetch(inviterId).catch(() => null);
-    if (!inviter) return;
-    
-    // Check threshold rewards configuration
-    if (!config.thresholdRewards || !Array.isArray(config.thresholdRewards)) {
-        return;
-    }
-    
-    for (const thresholdConfig of config.thresholdRewards) {
-        // Get single reward role
-        const rewardRole = getRoleFromConfig(
-            guild,
-            thresholdConfig.rewardRoleId,
-            thresholdConfig.rewardRoleName
-        );
-        
-        // Get required roles (invitee needs at least one)
-        const requiredRoles = getRequiredRoles(
-            guild,
-            thresholdConfig.requiredRoleId || thresholdConfig.requiredRoleIds,
-            thresholdConfig.requiredRoleName || thresholdConfig.requiredRoleNames
-        );
-        
-        if (!rewardRole || requiredRoles.length === 0) {
-            console.warn(`Threshold reward role or required role not found`);
+    if (!inviter) return null;
+
+    const rules = config.rewardRules || [];
+    const ladders = config.rewardLadders || [];
+    const invitees = rules.length === 0 && ladders.length === 0
+        ? []
+        : await fetchRewardInvitees(data, guild, inviterId, config);
+    const context = createRuleContext(data, guild, config, inviterId);
+    const result = { inviterId, inviterTag: inviter.user.tag, inviteeCount: invitees.length, changes: [] };
+    // What the audit log records with each change: the counts the rules saw
+    const audit = { trigger, actorId, counts: { invitees: invitees.length, bonus: getBonusTotal(data, guild.id, inviterId) } };
+
+    for (const rule of rules) {
+        const rewardRole = getRoleFromConfig(guild, rule.roleId, rule.roleName);
+        if (!rewardRole) {
+            console.warn(`Reward role not found for rule ${rule.name}: ${rule.roleId || rule.roleName}`);
             continue;
         }
-        
-        // IMPORTANT: Uses memberInvites which persists even if invites are deleted/expired
-        // Count how many invitees have at least one of the required roles
-        const inviteeIds = data.memberInvites[inviterId] || [];
-        let inviteesWithRole = 0;
-        
-        for (const inviteeId of inviteeIds) {
-            try {
-                const inviteeMember = await guild.members.fetch(inviteeId).catch(() => null);
-                if (!inviteeMember) continue;
-                
-                const hasRequiredRole = requiredRoles.some(role => inviteeMember.roles.cache.has(role.id));
-                if (hasRequiredRole) {
-                    inviteesWithRole++;
-                }
-            } catch (error) {
-                console.error(`Error checking invitee ${inviteeId}:`, error);
-            }
-        }
-        
-        const threshold = thresholdConfig.threshold || 3;
+
+        const matches = ruleMatches(rule, invitees, context);
         const inviterHasRole = inviter.roles.cache.has(rewardRole.id);
-        
-        // Award role if count reaches threshold (3 or more)
-        if (inviteesWithRole >= threshold && !inviterHasRole) {
+        if (matches !== inviterHasRole) {
+            result.changes.push({ action: matches ? 'add' : 'remove', role: rewardRole, source: `rule ${rule.name}` });
+        }
+
+        if (matches !== inviterHasRole && dryRun) {
+            logDryRunChange(inviter, result.changes[result.changes.length - 1], trigger);
+        } else if (matches && !inviterHasRole) {
             try {
                 await inviter.roles.add(rewardRole);
-                console.log(`Awarded threshold role ${rewardRole.name} to ${inviter.user.tag} (${inviteesWithRole} invitees with required role)`);
+                console.log(`Awarded role ${rewardRole.name} to ${inviter.user.tag} (rule ${rule.name}, ${invitees.length} active invitees)`);
+                recordRewardChange(guild, inviter, rewardRole, 'add', `${trigger}: rule ${rule.name} met`, { ...audit, rule: `rule ${rule.name}` });
             } catch (error) {
-                console.error(`Error adding threshold role to ${inviter.user.tag}:`, error);
+                console.error(`Error adding role to ${inviter.user.tag}:`, error);
             }
-        }
-        // Remove role if count goes below threshold (less than 3)
-        else if (inviteesWithRole < threshold && inviterHasRole) {
+        } else if (!matches && inviterHasRole) {
             try {
                 await inviter.roles.remove(rewardRole);
-                console.log(`Removed threshold role ${rewardRole.name} from ${inviter.user.tag} (only ${inviteesWithRole} invitees with required role, need ${threshold})`);
+                console.log(`Removed role ${rewardRole.name} from ${inviter.user.tag} (rule ${rule.name} no longer met)`);
+                recordRewardChange(guild, inviter, rewardRole, 'remove', `${trigger}: rule ${rule.name} no longer met`, { ...audit, rule: `rule ${rule.name}` });
             } catch (error) {
-                console.error(`Error removing threshold role from ${inviter.user.tag}:`, error);
+                console.error(`Error removing role from ${inviter.user.tag}:`, error);
             }
         }
     }
-}
 
-// Check if invitee has any of the required roles
-function inviteeHasAnyRole(invitee, requiredRoleIds, requiredRoleNames) {
-    const inviteeRoles = invitee.roles.cache.map(role => role.id);
-    const inviteeRoleNames = invitee.roles.cache.map(role => role.name);
-    
-    // Check by ID
-    if (Array.isArray(requiredRoleIds)) {
-        const hasAnyById = requiredRoleIds.some(roleId => roleId && inviteeRoles.includes(roleId));
-        if (hasAnyById) return true;
-    } else if (requiredRoleIds && inviteeRoles.includes(requiredRoleIds)) {
-        return true;
-    }
-    
-    // Check by name
-    if (Array.isArray(requiredRoleNames)) {
-        const hasAnyByName = requiredRoleNames.some(roleName => roleName && inviteeRoleNames.includes(roleName));
-        if (hasAnyByName) return true;
-    } else if (requiredRoleNames && inviteeRoleNames.includes(requiredRoleNames)) {
-        return true;
+    for (const ladder of ladders) {
+        result.changes.push(...await updateInviterLadder(inviter, invitees, context, ladder, guild, audit, dryRun));
     }
-    
-    return false;
+    return result;
 }
 
-// Update inviter roles based on invitee
-// NOTE: This function uses data.memberInvites which persists independently of invite existence
-// Role rewards are maintained even if the original invite expires or is deleted
-async function updateInviterRoles(inviterId, invitee, guild, config, data, isJoining = true) {
-    if (!inviterId) return;
-    
-    const inviter = await guild.members.fetch(inviterId).catch(() => null);
-    if (!inviter) return;
-    
-    // Check each role configuration
-    if (!config.roleConfigs || !Array.isArray(config.roleConfigs)) {
-        await updateInviterThresholdRoles(inviterId, guild, config, data);
-        return;
+// In preview mode (--dry-run) live events log what they would have changed. Previews requested
+// with /invite-rules preview stay quiet and report through their attachment instead.
+function logDryRunChange(inviter, change, trigger) {
+    if (!dryRunMode) return;
+    const verb = change.action === 'add' ? 'award' : 'remove';
+    console.log(`[dry run] Would ${verb} role ${change.role.name} ${change.action === 'add' ? 'to' : 'from'} ${inviter.user.tag} (${change.source}, ${trigger})`);
+}
+
+// Move an inviter to the right tier of a reward ladder. All role changes for the ladder are
+// applied in a single request so a promotion never leaves the inviter with both or neither tier.
+// Returns the planned changes; with `dryRun` they are not applied. `audit` comes from
+// updateInviterRoles.
+async function updateInviterLadder(inviter, invitees, context, ladder, guild, audit, dryRun) {
+    const { trigger } = audit;
+    const tierRoles = ladder.tiers.map(tier => getRoleFromConfig(guild, tier.roleId, tier.roleName));
+    ladder.tiers.forEach((tier, index) => {
+        if (!tierRoles[index]) console.warn(`Reward role not found for ladder ${ladder.name} tier ${tier.name}: ${tier.roleId || tier.roleName}`);
+    });
+
+    const reachedIndex = getReachedTierIndex(ladder, invitees, context);
+    const heldTiers = new Set(getHeldTiers(ladder, reachedIndex));
+    const planTierChanges = member => {
+        const plan = { toAdd: [], toRemove: [] };
+        ladder.tiers.forEach((tier, index) => {
+            const role = tierRoles[index];
+            if (!role) return;
+            const shouldHold = heldTiers.has(tier);
+            const holds = member.roles.cache.has(role.id);
+            if (shouldHold && !holds) plan.toAdd.push(role);
+            if (!shouldHold && holds) plan.toRemove.push(role);
+        });
+        return plan;
+    };
+    let { toAdd, toRemove } = planTierChanges(inviter);
+    if (toAdd.length === 0 && toRemove.length === 0) return [];
+
+    const tierLabel = reachedIndex >= 0 ? ladder.tiers[reachedIndex].name : 'none';
+    const source = `ladder ${ladder.name} tier ${tierLabel}`;
+    const toChanges = () => [
+        ...toAdd.map(role => ({ action: 'add', role, source })),
+        ...toRemove.map(role => ({ action: 'remove', role, source }))
+    ];
+    let changes = toChanges();
+    if (dryRun) {
+        changes.forEach(change => logDryRunChange(inviter, change, trigger));
+        return changes;
     }
-    
-    for (const roleConfig of config.roleConfigs) {
-        // Only support hasAnyRole condition type
-        const hasAnyRoleCondition = roleConfig.conditions?.find(c => c.type === 'hasAnyRole');
-        if (!hasAnyRoleCondition) continue;
-        
-        // Get single reward role
-        const rewardRole = getRoleFromConfig(
-            guild,
-            roleConfig.roleId,
-            roleConfig.roleName
-        );
-        
-        if (!rewardRole) {
-            console.warn(`Reward role not found: ${roleConfig.roleId || roleConfig.roleName}`);
-            continue;
-        }
-        
-        // Get required roles
-        const requiredRoleIds = hasAnyRoleCondition.roleIds || (hasAnyRoleCondition.roleId ? [hasAnyRoleCondition.roleId] : []);
-        const requiredRoleNames = hasAnyRoleCondition.roleNames || (hasAnyRoleCondition.roleName ? [hasAnyRoleCondition.roleName] : []);
-        
-        if (requiredRoleIds.length === 0 && requiredRoleNames.length === 0) {
-            console.warn(`No required roles specified in hasAnyRole condition`);
-            continue;
-        }
-        
-        const inviteeMeetsCondition = inviteeHasAnyRole(invitee, requiredRoleIds, requiredRoleNames);
-        const inviterHasRole = inviter.roles.cache.has(rewardRole.id);
-        
-        if (inviteeMeetsCondition && isJoining) {
-            // Award role to inviter
-            if (!inviterHasRole) {
-                try {
-                    await inviter.roles.add(rewardRole);
-                    console.log(`Awarded role ${rewardRole.name} to ${inviter.user.tag} for inviting ${invitee.user.tag}`);
-                } catch (error) {
-                    console.error(`Error adding role to ${inviter.user.tag}:`, error);
-                }
-            }
-        } else if (!inviteeMeetsCondition || !isJoining) {
-            // Check if inviter should lose the role
-            // IMPORTANT: Uses data.memberInvites which persists even if invites are deleted/expired
-            // Count how many invitees still meet the condition
-            const inviteeIds = data.memberInvites[inviterId] || [];
-            let activeInvitees = 0;
-            
-            for (const inviteeId of inviteeIds) {
-                try {
-                    const inviteeMember = await guild.members.fetch(inviteeId).catch(() => null);
-                    if (!inviteeMember) continue;
-                    
-                    if (inviteeHasAnyRole(inviteeMember, requiredRoleIds, requiredRoleNames)) {
-                        activeInvitees++;
-                    }
-                } catch (error) {
-                    console.error(`Error checking invitee ${inviteeId}:`, error);
-                }
-            }
-            
-            // Remove role if no active invitees meet the condition
-            if (activeInvitees === 0 && inviterHasRole) {
-                try {
-                    await inviter.roles.remove(rewardRole);
-                    console.log(`Removed role ${rewardRole.name} from ${inviter.user.tag} (no active invitees)`);
-                } catch (error) {
-                    console.error(`Error removing role from ${inviter.user.tag}:`, error);
-                }
-            }
-        }
+
+    try {
+        // roles.set replaces every role, so start from the member as Discord has it now: roles
+        // added earlier in this pass (rules, other ladders) are not in the cached member yet
+        const current = await guild.members.fetch({ user: inviter.id, force: true });
+        ({ toAdd, toRemove } = planTierChanges(current));
+        changes = toChanges();
+        if (changes.length === 0) return changes;
+        const removeIds = new Set(toRemove.map(role => role.id));
+        const nextRoles = [
+            ...current.roles.cache.filter(role => !removeIds.has(role.id) && role.id !== guild.id).map(role => role.id),
+            ...toAdd.map(role => role.id)
+        ];
+        await current.roles.set(nextRoles, `Invite reward ladder ${ladder.name}: tier ${tierLabel}`);
+        console.log(`Moved ${inviter.user.tag} to tier ${tierLabel} of ladder ${ladder.name} (${invitees.length} active invitees)`);
+        for (const role of toAdd) recordRewardChange(guild, inviter, role, 'add', `${trigger}: ${source}`, { ...audit, rule: source });
+        for (const role of toRemove) recordRewardChange(guild, inviter, role, 'remove', `${trigger}: ${source}`, { ...audit, rule: source });
+    } catch (error) {
+        console.error(`Error updating ladder ${ladder.name} roles for ${inviter.user.tag}:`, error);
     }
-    
-    // Also check threshold rewards (also uses memberInvites, independent of invite existence)
-    await updateInviterThresholdRoles(inviterId, guild, config, data);
+    return changes;
 }
 
 // Catalogue all active invites in a guild
@@ -511,7 +1116,7 @@ async function catalogueAllInvites(guild) {
     try {
         const invites = await guild.invites.fetch();
         const inviteCatalogue = {};
-        
+    
         invites.forEach(invite => {
             inviteCatalogue[invite.code] = {
                 code: invite.code,
@@ -526,7 +1131,7 @@ async function catalogueAllInvites(guild) {
                 channelName: invite.channel?.name || null
             };
         });
-        
+    
         return inviteCatalogue;
     } catch (error) {
         console.error(`Error cataloguing invites for ${guild.name}:`, error);
@@ -534,226 +1139,314 @@ async function catalogueAllInvites(guild) {
     }
 }
 
-// Verify and maintain role rewards for an inviter (used when invites are deleted/expired)
-async function verifyAndMaintainRoleRewards(inviterId, guild, config, data) {
-    if (!inviterId) return;
-    
-    const inviteeIds = data.memberInvites[inviterId] || [];
-    if (inviteeIds.length === 0) return;
-    
-    // Fetch all current invitees still in the guild
-    const invitees = [];
-    for (const inviteeId of inviteeIds) {
-        try {
-            const inviteeMember = await guild.members.fetch(inviteeId).catch(() => null);
-            if (inviteeMember) {
-                invitees.push(inviteeMember);
+// Track an invitee's role timestamps and queue re-evaluations of their inviter for the moments
+// their referral matures or a timed condition (tenure, account age, role held N days) can flip
+function scheduleInviteeMaturations(data, guild, inviterId, member, config) {
+    syncRoleSince(data, guild.id, member.id, member.roles.cache.filter(role => role.id !== guild.id).map(role => role.id));
+
+    const record = getOpenJoinRecord(data, guild.id, member.id);
+    const roleSince = Object.values(data.inviteeRoleSince?.[guild.id]?.[member.id] || {});
+    const times = new Set([
+        ...getMaturityTimes(config, { joinedAt: member.joinedTimestamp, createdAt: member.user.createdTimestamp, roleSince }),
+        getReferralMaturesAt(record, config)
+    ]);
+    for (const dueAt of times) {
+        if (dueAt) scheduleMaturation(data, guild.id, inviterId, member.id, dueAt);
+    }
+    armMaturityTimer(data);
+}
+
+// setTimeout cannot wait longer than ~24.8 days; longer waits simply re-arm when the timer fires
+const MAX_TIMER_DELAY_MS = 2 ** 31 - 1;
+let maturityTimer = null;
+
+// Arm a single timer for the earliest pending maturation
+function armMaturityTimer(data) {
+    if (maturityTimer) clearTimeout(maturityTimer);
+    maturityTimer = null;
+    const nextAt = getNextMaturationAt(data);
+    if (nextAt === null) return;
+    const delay = Math.min(Math.max(nextAt - Date.now(), 0), MAX_TIMER_DELAY_MS);
+    maturityTimer = setTimeout(() => {
+        maturityTimer = null;
+        processDueMaturations().catch(error => console.error('Error processing matured referrals:', error));
+    }, delay);
+}
+
+// Re-evaluate the inviters of every referral that has matured, then re-arm the timer.
+// Also run at ClientReady to catch up on maturations missed while the bot was offline.
+async function processDueMaturations() {
+    const data = await loadInviteData();
+    for (const guildId of Object.keys(data.pendingMaturations || {})) {
+        const guild = client.guilds.cache.get(guildId);
+        if (!guild) continue;
+        await runGuildTask(guildId, async () => {
+            const due = takeDueMaturations(data, guildId);
+            if (due.length === 0) return;
+            leaderboardCache.invalidate(guildId);
+            await saveInviteData(data);
+
+            const config = await loadGuildConfig(guildId);
+            const inviterIds = [...new Set(due.map(entry => entry.inviterId))];
+            console.log(`${due.length} referral maturation(s) due in ${guild.name}; re-evaluating ${inviterIds.length} inviter(s)`);
+            for (const inviterId of inviterIds) {
+                await updateInviterRoles(inviterId, guild, config, data, 'maturity');
             }
-        } catch (error) {
-            // Member not found or left, skip
-        }
+        });
     }
-    
-    if (invitees.length === 0) return;
-    
-    // Process with all invitees to maintain role rewards
-    await processInviterWithAllInvitees(inviterId, invitees, guild, config, data);
+    armMaturityTimer(data);
 }
 
-// Process all invitees for an inviter and update roles accordingly
-async function processInviterWithAllInvitees(inviterId, invitees, guild, config, data) {
-    if (!inviterId || invitees.length === 0) return;
-    
-    const inviter = await guild.members.fetch(inviterId).catch(() => null);
-    if (!inviter) return;
-    
-    // Process roleConfigs
-    if (config.roleConfigs && Array.isArray(config.roleConfigs)) {
-        for (const roleConfig of config.roleConfigs) {
-            const hasAnyRoleCondition = roleConfig.conditions?.find(c => c.type === 'hasAnyRole');
-            if (!hasAnyRoleCondition) continue;
-            
-            const rewardRole = getRoleFromConfig(
-                guild,
-                roleConfig.roleId,
-                roleConfig.roleName
-            );
-            
-            if (!rewardRole) continue;
-            
-            const requiredRoleIds = hasAnyRoleCondition.roleIds || (hasAnyRoleCondition.roleId ? [hasAnyRoleCondition.roleId] : []);
-            const requiredRoleNames = hasAnyRoleCondition.roleNames || (hasAnyRoleCondition.roleName ? [hasAnyRoleCondition.roleName] : []);
-            
-            if (requiredRoleIds.length === 0 && requiredRoleNames.length === 0) continue;
-            
-            // Check if any invitee meets the condition
-            let anyInviteeMeetsCondition = false;
-            for (const invitee of invitees) {
-                if (inviteeHasAnyRole(invitee, requiredRoleIds, requiredRoleNames)) {
-                    anyInviteeMeetsCondition = true;
-                    break;
-                }
-            }
-            
-            const inviterHasRole = inviter.roles.cache.has(rewardRole.id);
-            
-            // Award role if any invitee meets condition
-            if (anyInviteeMeetsCondition && !inviterHasRole) {
-                try {
-                    await inviter.roles.add(rewardRole);
-                    console.log(`Retroactively awarded role ${rewardRole.name} to ${inviter.user.tag}`);
-                } catch (error) {
-                    console.error(`Error adding role to ${inviter.user.tag}:`, error);
-                }
-            }
-            // Remove role if no invitees meet condition
-            else if (!anyInviteeMeetsCondition && inviterHasRole) {
-                try {
-                    await inviter.roles.remove(rewardRole);
-                    console.log(`Retroactively removed role ${rewardRole.name} from ${inviter.user.tag} (no active invitees)`);
-                } catch (error) {
-                    console.error(`Error removing role from ${inviter.user.tag}:`, error);
-                }
+let seasonTimer = null;
+
+// Re-evaluate every guild when a season starts or ends so season-scoped rewards are granted and
+// expire on time. Nothing needs persisting: missed boundaries are covered by the startup pass.
+function armSeasonTimer(config) {
+    if (seasonTimer) clearTimeout(seasonTimer);
+    seasonTimer = null;
+    const nextAt = getNextSeasonBoundary(config.seasons || []);
+    if (nextAt === null) return;
+    const delay = Math.min(Math.max(nextAt - Date.now(), 0), MAX_TIMER_DELAY_MS);
+    seasonTimer = setTimeout(async () => {
+        seasonTimer = null;
+        const latestConfig = await loadConfig();
+        if (Date.now() >= nextAt) {
+            console.log('Season boundary reached; re-evaluating invite rewards');
+            for (const guild of client.guilds.cache.values()) {
+                await runGuildTask(guild.id, async () => {
+                    const data = await loadInviteData();
+                    await applyRolesRetroactively(guild, await loadGuildConfig(guild.id), data, { trigger: 'season' });
+                });
             }
         }
+        armSeasonTimer(latestConfig);
+    }, delay);
+}
+
+// Queue maturations for every active invitee of a guild (members must already be cached)
+function syncGuildMaturations(data, guild, config) {
+    for (const [inviterId] of Object.entries(getGuildMemberInvites(data, guild.id))) {
+        for (const inviteeId of getActiveInviteeIds(data, guild.id, inviterId)) {
+            const member = guild.members.cache.get(inviteeId);
+            if (member) scheduleInviteeMaturations(data, guild, inviterId, member, config);
+        }
     }
-    
-    // Process threshold rewards (this already checks all invitees)
-    await updateInviterThresholdRoles(inviterId, guild, config, data);
 }
 
 // Retroactively apply roles to all inviters based on their current invitees
-async function applyRolesRetroactively(guild, config, data) {
-    console.log(`Applying roles retroactively for ${guild.name}...`);
-    
+// With `dryRun` the changes are only computed. Returns the per-inviter results of
+// updateInviterRoles for inviters whose roles change.
+async function applyRolesRetroactively(guild, config, data, { dryRun = dryRunMode, trigger = 'retroactive', actorId = null } = {}) {
+    console.log(`${dryRun ? 'Previewing' : 'Applying'} roles retroactively for ${guild.name}...`);
+    const changed = [];
+
     try {
         // Get all members in the guild
         await guild.members.fetch();
-        
-        // Get all invitees for each inviter
-        const inviterMap = {};
-        
-        for (const [inviterId, inviteeIds] of Object.entries(data.memberInvites || {})) {
-            if (!inviterMap[inviterId]) {
-                inviterMap[inviterId] = [];
-            }
-            
-            // Filter to only include members still in the guild
-            for (const inviteeId of inviteeIds) {
-                try {
-                    const inviteeMember = await guild.members.fetch(inviteeId).catch(() => null);
-                    if (inviteeMember) {
-                        inviterMap[inviterId].push(inviteeMember);
-                    }
-                } catch (error) {
-                    // Member not found, skip
-                }
-            }
-        }
-        
-        // Apply role logic for each inviter (process once per inviter with all their invitees)
+    
+        // Re-evaluate every inviter against their current invitees
         let processedCount = 0;
-        for (const [inviterId, invitees] of Object.entries(inviterMap)) {
-            if (invitees.length === 0) continue;
-            
-            await processInviterWithAllInvitees(inviterId, invitees, guild, config, data);
+        const inviterIds = new Set([...Object.keys(getGuildMemberInvites(data, guild.id)), ...getAdjustedUserIds(data, guild.id)]);
+        for (const inviterId of inviterIds) {
+            const result = await updateInviterRoles(inviterId, guild, config, data, trigger, { dryRun, actorId });
+            if (result && result.changes.length > 0) changed.push(result);
             processedCount++;
         }
-        
-        console.log(`Retroactively processed ${processedCount} inviters with ${Object.values(inviterMap).reduce((sum, arr) => sum + arr.length, 0)} total invitees in ${guild.name}`);
+
+        console.log(`Retroactively ${dryRun ? 'previewed' : 'processed'} ${processedCount} inviters in ${guild.name}`);
     } catch (error) {
         console.error(`Error applying roles retroactively for ${guild.name}:`, error);
     }
+    return changed;
+}
+
+// Overwrite a command set (a guild's, or the application's global set) with `definitions` unless it
+// already matches: same version as the last sync and the same command names registered. Writing
+// the whole set removes renamed and retired commands too. Returns the version now registered.
+async function syncCommandSet(manager, definitions, syncedVersion, label) {
+    const version = hashDefinitions(definitions);
+    if (version === syncedVersion) {
+        const registered = await manager.fetch();
+        const registeredNames = [...registered.values()].map(command => command.name).sort().join(',');
+        if (registeredNames === definitions.map(definition => definition.name).sort().join(',')) return version;
+    }
+    await manager.set(definitions);
+    REAL_CONSOLE.log(`Synced ${definitions.length} slash command(s) for ${label} (version ${version})`);
+    return version;
+}
+
+// Register the command registry in a guild (commands.scope "guild", the default), with default
+// member permissions from the guild's command access. With global commands the guild's own set is
+// emptied instead, so no command shows up twice.
+async function syncGuildCommands(guild) {
+    try {
+        const data = await loadInviteData();
+        const config = await loadGuildConfig(guild.id);
+        const definitions = getCommandScope(config) === 'guild'
+            ? applyCommandPermissions(commands.definitions(), config.commandPermissions)
+            : [];
+        const synced = data.commandVersions?.[guild.id];
+        const version = await syncCommandSet(guild.commands, definitions, synced, `guild ${guild.id}`);
+        if (version !== synced) {
+            data.commandVersions[guild.id] = version;
+            await saveInviteData(data);
+        }
+    } catch (error) {
+        REAL_CONSOLE.error('Failed to sync slash commands for', guild.id, error);
+    }
+}
+
+// Register the command registry globally (commands.scope "global"), or empty the global set when
+// commands are registered per guild. Global commands can only carry config.json's command access;
+// per-guild access is still enforced when a command is used.
+async function syncGlobalCommands(config) {
+    try {
+        const data = await loadInviteData();
+        const definitions = getCommandScope(config) === 'global'
+            ? applyCommandPermissions(commands.definitions(), config.commandPermissions).map(definition => ({ ...definition, dm_permission: false }))
+            : [];
+        const synced = data.globalCommandsVersion;
+        const version = await syncCommandSet(client.application.commands, definitions, synced, 'the application (global)');
+        if (version !== synced) {
+            data.globalCommandsVersion = version;
+            await saveInviteData(data);
+        }
+    } catch (error) {
+        REAL_CONSOLE.error('Failed to sync global slash commands', error);
+    }
+}
+
+// Set a guild up for tracking: catalogue its invites, reconcile offline joins, check the config's
+// roles, apply rewards retroactively and queue timed re-evaluations. Run at startup and when the
+// bot is added to a guild, inside the guild's queue. Returns the retroactive pass's changes.
+async function bootstrapGuild(guild) {
+    try {
+        const data = await loadInviteData();
+        // Snapshots from before the bot went offline, to find joins it missed
+        const offlineBaseline = {
+            oldInvites: data.inviteCodes[guild.id] || {},
+            oldVanity: data.vanitySnapshots?.[guild.id] || null,
+            seenAt: data.inviteCodesSeenAt?.[guild.id] || null
+        };
+
+        // Catalogue all active invites
+        console.log(`Cataloguing all active invites for ${guild.name}...`);
+        const inviteCatalogue = await catalogueAllInvites(guild);
+        data.inviteCodes[guild.id] = inviteCatalogue;
+        markInvitesSeen(data, guild.id);
+
+        // Store full invite catalogue
+        if (!data.inviteCatalogues) {
+            data.inviteCatalogues = {};
+        }
+        data.inviteCatalogues[guild.id] = inviteCatalogue;
+
+        // Make sure every stored relationship has a join history record and leavers are marked
+        await syncJoinHistory(data, guild);
+        leaderboardCache.invalidate(guild.id);
+
+        // Baseline vanity URL uses so vanity joins can be told apart
+        const vanity = await fetchVanitySnapshot(guild);
+        if (!data.vanitySnapshots) data.vanitySnapshots = {};
+        if (vanity) {
+            data.vanitySnapshots[guild.id] = vanity;
+        } else {
+            delete data.vanitySnapshots[guild.id];
+        }
+
+        await saveInviteData(data);
+        console.log(`Catalogued ${Object.keys(inviteCatalogue).length} active invites for ${guild.name}`);
+
+        // Attribute joins that happened while the bot was offline. Needs a stored baseline, and
+        // an empty catalogue next to a non-empty baseline is more likely a failed fetch than
+        // every invite being deleted.
+        const catalogueUsable = Object.keys(inviteCatalogue).length > 0 || Object.keys(offlineBaseline.oldInvites).length === 0;
+        if (offlineBaseline.seenAt && catalogueUsable) {
+            await guild.members.fetch();
+            await reconcileOfflineJoins(data, guild, { ...offlineBaseline, newInvites: inviteCatalogue, newVanity: vanity });
+        }
+
+        // Warn about reward roles that are missing or out of the bot's reach
+        const guildConfig = await loadGuildConfig(guild.id);
+        reportRoleProblems(guild, guildConfig);
+
+        // Apply roles retroactively
+        const changed = await applyRolesRetroactively(guild, guildConfig, data, { trigger: 'startup' });
+
+        // Queue re-evaluations for referrals and timed conditions that have not matured yet
+        syncGuildMaturations(data, guild, guildConfig);
+        await saveInviteData(data);
+        return changed;
+    } catch (error) {
+        console.error(`Error initializing invites for ${guild.name}:`, error);
+        return [];
+    }
 }
 
 // Main bot logic
 client.once(Events.ClientReady, async () => {
     console.log(`Bot is ready! Logged in as ${client.user.tag}`);
-    
-    // Initialize memberInvites file immediately (create empty file if no data exists)
+
+    // Fail fast if the configured storage backend cannot be opened
+    try {
+        await getStorage();
+    } catch (error) {
+        console.error('Failed to initialize storage backend:', error);
+        process.exit(1);
+    }
+
+    // Initialize stored data immediately (create empty data if none exists)
     const initialData = await loadInviteData();
-    await saveMemberInvitesFile(initialData.memberInvites || {});
-    console.log(`MemberInvites file initialized at ${MEMBER_INVITES_FILE}`);
-    
+    // Assign any pre-v2 global relationships to the guilds they belong to
+    await migrateLegacyMemberInvites(initialData, client.guilds.cache.values());
+    await saveInviteData(initialData);
+    console.log(`Invite data initialized`);
+
     // Load config and initialize remote logger (once)
     const config = await loadConfig();
     await initRemoteLoggerFromConfig(config);
 
-    // Register slash commands (guild-scoped) for each guild if missing
-    async function ensureAdminCommands(guild) {
-        try {
-            const existing = await guild.commands.fetch();
-            const foundAdd = existing.find(c => c.name === 'add-invite');
-            const foundRemove = existing.find(c => c.name === 'remove-invite');
-
-            if (!foundAdd) {
-                await guild.commands.create({
-                    name: 'add-invite',
-                    description: 'Manually add an inviter -> invitee relationship (admin only)',
-                    options: [
-                        { name: 'inviter', type: 6, description: 'The user who invited', required: true },
-                        { name: 'invitee', type: 6, description: 'The user who was invited', required: true }
-                    ]
-                });
-                REAL_CONSOLE.log(`Registered /add-invite command for guild ${guild.id}`);
-            }
-
-            if (!foundRemove) {
-                await guild.commands.create({
-                    name: 'remove-invite',
-                    description: 'Remove an inviter -> invitee mapping (admin only)',
-                    options: [
-                        { name: 'inviter', type: 6, description: 'The inviter user', required: true },
-                        { name: 'invitee', type: 6, description: 'The invitee user to remove', required: true }
-                    ]
-                });
-                REAL_CONSOLE.log(`Registered /remove-invite command for guild ${guild.id}`);
-            }
+    if (dryRunMode) {
+        console.log('Preview mode (--dry-run): reward roles are computed but never changed');
+    }
+    const startupPreviews = [];
 
-            const foundList = existing.find(c => c.name === 'list-invites');
-            if (!foundList) {
-                await guild.commands.create({
-                    name: 'list-invites',
-                    description: 'List all invitees for a given inviter (admin only)',
-                    options: [
-                        { name: 'inviter', type: 6, description: 'The inviter user', required: true }
-                    ]
-                });
-                REAL_CONSOLE.log(`Registered /list-invites command for guild ${guild.id}`);
-            }
-        } catch (error) {
-            REAL_CONSOLE.error('Failed to register admin commands for', guild.id, error);
-        }
+    // Guilds the bot was removed from while offline get the same treatment as a GuildDelete
+    for (const guildId of getStoredGuildIds(initialData)) {
+        if (!client.guilds.cache.has(guildId)) await retireGuild(guildId, null, config);
     }
+    const expired = purgeExpiredArchives(initialData, config);
+    if (expired.length > 0) {
+        console.log(`Purged archived data of ${expired.length} guild(s) past the retention period`);
+        await saveInviteData(initialData);
+        await purgeGuildAuditLogs(expired);
+    }
+
+    await syncGlobalCommands(config);
 
     // Initialize invite tracking and apply roles retroactively for all guilds
     for (const guild of client.guilds.cache.values()) {
-        // ensure admin slash commands exist for this guild
-        await ensureAdminCommands(guild).catch(() => {});
-        try {
-            const data = await loadInviteData();
-
-            // Catalogue all active invites
-            console.log(`Cataloguing all active invites for ${guild.name}...`);
-            const inviteCatalogue = await catalogueAllInvites(guild);
-            data.inviteCodes[guild.id] = inviteCatalogue;
-
-            // Store full invite catalogue
-            if (!data.inviteCatalogues) {
-                data.inviteCatalogues = {};
+        await syncGuildCommands(guild);
+        // Queued so events for this guild wait until its invite baseline exists
+        await runGuildTask(guild.id, async () => {
+            const changed = await bootstrapGuild(guild);
+            if (dryRunMode) {
+                startupPreviews.push(formatPreviewReport({ guildName: guild.name, source: 'startup dry run', results: changed }));
             }
-            data.inviteCatalogues[guild.id] = inviteCatalogue;
+        });
+    }
+    if (dryRunMode) {
+        await fs.writeFile(DRY_RUN_REPORT_FILE, startupPreviews.join('\n'), 'utf8')
+            .then(() => console.log(`Dry-run report written to ${DRY_RUN_REPORT_FILE}`))
+            .catch(error => console.error('Error writing dry-run report:', error));
+    }
 
-            await saveInviteData(data);
-            console.log(`Catalogued ${Object.keys(inviteCatalogue).length} active invites for ${guild.name}`);
-            console.log(`MemberInvites data saved to ${MEMBER_INVITES_FILE}`);
+    // Catch up on referrals that matured while the bot was offline and arm the timer for the rest
+    await processDueMaturations();
+    armSeasonTimer(config);
+    // Apply config.json edits without a restart
+    watchConfigFile();
 
-            // Apply roles retroactively
-            await applyRolesRetroactively(guild, config, data);
-        } catch (error) {
-            console.error(`Error initializing invites for ${guild.name}:`, error);
-        }
-    }
     // After retroactive processing for all guilds, send combined startup logs (if configured)
     try {
         flushStartupCombined();
@@ -762,14 +1455,86 @@ client.once(Events.ClientReady, async () => {
     }
 });
 
-client.on(Events.GuildMemberAdd, async (member) => {
+// The bot was added to a guild: bring back its archived data (if any) and run the same setup as
+// at startup, so commands, the invite baseline and rewards do not wait for a restart
+async function handleGuildCreate(guild) {
+    console.log(`Added to guild ${guild.name} (${guild.id}); setting it up`);
+    await syncGuildCommands(guild);
+    await runGuildTask(guild.id, async () => {
+        const data = await loadInviteData();
+        const archive = restoreGuildData(data, guild.id);
+        if (archive) {
+            console.log(`Restored data archived for ${guild.name} on ${archive.archivedAt}`);
+            await saveInviteData(data);
+        }
+        await bootstrapGuild(guild);
+    });
+    armMaturityTimer(await loadInviteData());
+}
+
+client.on(Events.GuildCreate, (guild) => handleGuildCreate(guild).catch(error => console.error(`Error setting up guild ${guild.id}:`, error)));
+
+// Archive or purge a guild's data (guildRetention.onLeave). `guildName` is null when the guild
+// was left while the bot was offline.
+async function retireGuild(guildId, guildName, config) {
+    const { onLeave } = getRetentionPolicy(config);
+    await runGuildTask(guildId, async () => {
+        const data = await loadInviteData();
+        if (onLeave === 'purge') {
+            purgeGuildData(data, guildId);
+        } else {
+            archiveGuildData(data, guildId, { name: guildName });
+        }
+        leaderboardCache.invalidate(guildId);
+        await saveInviteData(data);
+        if (onLeave === 'purge') await purgeGuildAuditLogs([guildId]);
+        armMaturityTimer(data);
+        console.log(`${onLeave === 'purge' ? 'Purged' : 'Archived'} invite data for guild ${guildName || guildId} after the bot left it`);
+    });
+}
+
+// The bot was removed from a guild (outages only make a guild unavailable, they do not delete it)
+async function handleGuildDelete(guild) {
+    if (guild.available === false) return;
+    const config = await loadConfig();
+    await retireGuild(guild.id, guild.name, config);
+    const data = await loadInviteData();
+    const expired = purgeExpiredArchives(data, config);
+    if (expired.length > 0) {
+        await saveInviteData(data);
+        await purgeGuildAuditLogs(expired);
+    }
+}
+
+// The audit log lives outside the invite data, so purging a guild's data also deletes its entries
+// there. Archived guilds keep theirs.
+async function purgeGuildAuditLogs(guildIds) {
+    const storage = await getStorage();
+    for (const guildId of guildIds) {
+        try {
+            const removed = await storage.deleteAuditEntries(guildId);
+            if (removed > 0) console.log(`Deleted ${removed} audit log entries of purged guild ${guildId}`);
+        } catch (error) {
+            REAL_CONSOLE.error(`Error deleting audit log entries of guild ${guildId}:`, error);
+        }
+    }
+}
+
+client.on(Events.GuildDelete, (guild) => handleGuildDelete(guild).catch(error => console.error(`Error cleaning up guild ${guild.id}:`, error)));
+
+async function handleGuildMemberAdd(member) {
     const guild = member.guild;
     const data = await loadInviteData();
-    
     // Get current invites
     const newInvites = await fetchInvites(guild);
-    const oldInvites = data.inviteCodes[guild.id] || {};
-    
+    const oldInvites = pruneDeletedInvites(data.inviteCodes[guild.id]);
+    const newVanity = await fetchVanitySnapshot(guild);
+    const oldVanity = data.vanitySnapshots?.[guild.id] || null;
+    if (newVanity) {
+        if (!data.vanitySnapshots) data.vanitySnapshots = {};
+        data.vanitySnapshots[guild.id] = newVanity;
+    }
+
     // Update invite catalogue
     const inviteCatalogue = await catalogueAllInvites(guild);
     if (!data.inviteCatalogues) {
@@ -777,291 +1542,1194 @@ client.on(Events.GuildMemberAdd, async (member) => {
     }
     data.inviteCatalogues[guild.id] = inviteCatalogue;
     
+    if (!newInvites) {
+        // Keep the old snapshot; diffing against a failed fetch would invent deletions
+        const attribution = { confidence: CONFIDENCE.UNKNOWN, source: JOIN_SOURCES.UNKNOWN };
+        recordJoinAttribution(data, guild.id, member.id, attribution);
+        recordJoinSource(data, guild.id, attribution);
+        await saveInviteData(data);
+        console.log(`Could not determine who invited ${member.user.tag} (invites unavailable)`);
+        return;
+    }
+    
     // Find who invited this member
-    const inviterInfo = await findInviter(member, oldInvites, newInvites);
+    const inviterInfo = findInviter(data, guild.id, oldInvites, newInvites, oldVanity, newVanity);
+    if (inviterInfo.confidence === CONFIDENCE.UNKNOWN) {
+        inviterInfo.source = classifyUntrackedJoin(guild);
+    }
+    recordJoinAttribution(data, guild.id, member.id, inviterInfo);
+    recordJoinSource(data, guild.id, inviterInfo);
+
+    // Update invite codes
+    data.inviteCodes[guild.id] = newInvites;
+    markInvitesSeen(data, guild.id);
     
-    if (inviterInfo && inviterInfo.inviterId) {
-        // Store the invitation
-        if (!data.memberInvites[inviterInfo.inviterId]) {
-            data.memberInvites[inviterInfo.inviterId] = [];
-        }
-        data.memberInvites[inviterInfo.inviterId].push(member.id);
-        
-        // Update invite codes
-        data.inviteCodes[guild.id] = newInvites;
+    if (inviterInfo.confidence === CONFIDENCE.CERTAIN && inviterInfo.source === JOIN_SOURCES.VANITY) {
         await saveInviteData(data);
-        
-        console.log(`${member.user.tag} was invited by ${inviterInfo.inviterId} (code: ${inviterInfo.code})`);
-        
-        // Load config and update inviter roles
-        const config = await loadConfig();
-        await updateInviterRoles(inviterInfo.inviterId, member, guild, config, data, true);
+        console.log(`${member.user.tag} joined via the vanity URL (${inviterInfo.code})`);
+    } else if (inviterInfo.confidence === CONFIDENCE.CERTAIN) {
+        await creditJoin(data, guild, member, {
+            inviterId: inviterInfo.inviterId,
+            code: inviterInfo.code,
+            channelId: newInvites[inviterInfo.code]?.channelId || oldInvites[inviterInfo.code]?.channelId || null,
+            confidence: inviterInfo.confidence,
+            trigger: 'join'
+        });
+    } else if (inviterInfo.confidence === CONFIDENCE.AMBIGUOUS) {
+        // Held back rather than guessed; an admin can resolve it with /add-invite
+        await saveInviteData(data);
+        const candidates = inviterInfo.candidates.map(c => `${c.code} (${c.inviterId || 'unknown inviter'})`).join(', ');
+        console.warn(`Ambiguous invite for ${member.user.tag}: could be any of ${candidates}. Not credited; use /add-invite to resolve.`);
     } else {
-        // Update invite codes even if we couldn't find the inviter
-        data.inviteCodes[guild.id] = newInvites;
         await saveInviteData(data);
-        console.log(`Could not determine who invited ${member.user.tag}`);
+        if (inviterInfo.source === JOIN_SOURCES.DISCOVERY) {
+            console.log(`${member.user.tag} joined without a tracked invite (likely Server Discovery)`);
+        } else {
+            console.log(`Could not determine who invited ${member.user.tag}`);
+        }
+    }
+}
+
+client.on(Events.GuildMemberAdd, (member) => runGuildTask(member.guild.id, () => handleGuildMemberAdd(member)));
+
+// Credit a member's join to the inviter whose invite they used: apply the rejoin / self-invite
+// rules, store the relationship and its history record, flag likely fakes, queue maturations and
+// update the inviter's roles. Returns the credited inviter ID (null if the credit was suppressed).
+async function creditJoin(data, guild, member, { inviterId: ownerId, code, channelId = null, confidence, source = RELATIONSHIP_SOURCES.TRACKED, createdBy = null, trigger }) {
+    // Apply rejoin / self-invite rules before crediting anyone
+    const config = await loadGuildConfig(guild.id);
+    const credit = evaluateCredit(data, guild.id, ownerId, member.id, config);
+    if (!credit.credit) {
+        recordSuppressedCredit(data, guild.id, {
+            inviterId: ownerId,
+            inviteeId: member.id,
+            code,
+            reason: credit.reason,
+            detail: credit.detail
+        });
+        await saveInviteData(data);
+        return null;
+    }
+    if (credit.redirectedFrom) {
+        recordSuppressedCredit(data, guild.id, {
+            inviterId: credit.redirectedFrom,
+            inviteeId: member.id,
+            code,
+            reason: SUPPRESSION_REASONS.NOT_FIRST_INVITER,
+            detail: `credit kept by first inviter ${credit.inviterId}`
+        });
+    }
+    const inviterId = credit.inviterId;
+
+    // Store the invitation
+    const guildInvites = getGuildMemberInvites(data, guild.id);
+    if (!guildInvites[inviterId]) {
+        guildInvites[inviterId] = [];
+    }
+    if (!guildInvites[inviterId].includes(member.id)) {
+        guildInvites[inviterId].push(member.id);
+    }
+    const joinRecord = addJoinRecord(data, guild.id, {
+        inviterId,
+        inviteeId: member.id,
+        code,
+        channelId,
+        joinedAt: (member.joinedAt || new Date()).toISOString(),
+        source,
+        confidence,
+        createdBy
+    });
+    leaderboardCache.invalidate(guild.id);
+    await saveInviteData(data);
+
+    console.log(`${member.user.tag} was invited by ${inviterId} (code: ${code})`);
+
+    // Fresh alts and similar accounts are kept but do not count toward rewards
+    const fakeReasons = evaluateJoinSignals(member.user, config);
+    if (flagRecord(joinRecord, fakeReasons)) {
+        await saveInviteData(data);
+        console.warn(`Flagged ${member.user.tag} as a possible fake invite (${fakeReasons.join(', ')}); not counted for ${inviterId} until reviewed`);
     }
-});
 
-client.on(Events.GuildMemberRemove, async (member) => {
+    // Re-evaluate the inviter again once the referral matures
+    scheduleInviteeMaturations(data, guild, inviterId, member, config);
+    await saveInviteData(data);
+
+    // Update inviter roles
+    await updateInviterRoles(inviterId, guild, config, data, trigger, { actorId: createdBy });
+    return inviterId;
+}
+
+// Attribute members who joined while the bot was offline (see lib/offlineJoins.js). Runs at
+// startup with the snapshots stored before going offline and the live ones; members must be cached.
+async function reconcileOfflineJoins(data, guild, { oldInvites, newInvites, oldVanity, newVanity, seenAt }) {
+    const joiners = guild.members.cache
+        .filter(member => !member.user.bot && member.joinedTimestamp > seenAt)
+        .filter(member => {
+            // Joins handled while the bot was still running already have an attribution
+            const attribution = data.joinAttributions?.[guild.id]?.[member.id];
+            return !attribution || Date.parse(attribution.recordedAt) < member.joinedTimestamp;
+        })
+        .filter(member => !getOfflineReviews(data, guild.id).some(entry => entry.memberId === member.id))
+        .sort((a, b) => a.joinedTimestamp - b.joinedTimestamp)
+        .map(member => ({ memberId: member.id, joinedAt: member.joinedTimestamp }));
+    if (joiners.length === 0) return;
+
+    const withVanity = (invites, vanity) => ({
+        ...invites,
+        [VANITY_SNAPSHOT_KEY]: { code: vanity.code, uses: vanity.uses, inviterId: null, source: JOIN_SOURCES.VANITY }
+    });
+    const compareVanity = oldVanity && newVanity && oldVanity.code === newVanity.code;
+    const { attributed, unknown, review } = matchOfflineJoins({
+        oldInvites: compareVanity ? withVanity(oldInvites, oldVanity) : oldInvites,
+        newInvites: compareVanity ? withVanity(newInvites, newVanity) : newInvites,
+        joiners
+    });
+    console.log(`${joiners.length} member(s) joined ${guild.name} while the bot was offline: ${attributed.length} attributed, ${review.length} queued for review, ${unknown.length} unknown`);
+
+    for (const entry of unknown) entry.source = classifyUntrackedJoin(guild);
+    for (const entry of [...attributed, ...unknown]) {
+        recordJoinAttribution(data, guild.id, entry.memberId, entry);
+        recordJoinSource(data, guild.id, entry);
+    }
+    for (const entry of review) {
+        const attribution = { confidence: CONFIDENCE.AMBIGUOUS, source: JOIN_SOURCES.INVITE, candidates: entry.candidates };
+        recordJoinAttribution(data, guild.id, entry.memberId, attribution);
+        recordJoinSource(data, guild.id, attribution);
+        addOfflineReview(data, guild.id, {
+            memberId: entry.memberId,
+            joinedAt: new Date(entry.joinedAt).toISOString(),
+            candidates: entry.candidates.map(c => ({ code: c.code, inviterId: c.inviterId, uses: c.uses })),
+            detectedAt: new Date().toISOString()
+        });
+    }
+    await saveInviteData(data);
+
+    for (const entry of attributed) {
+        if (!entry.inviterId) continue;
+        const member = guild.members.cache.get(entry.memberId);
+        await creditJoin(data, guild, member, {
+            inviterId: entry.inviterId,
+            code: entry.code,
+            channelId: newInvites[entry.code]?.channelId || oldInvites[entry.code]?.channelId || null,
+            confidence: CONFIDENCE.CERTAIN,
+            trigger: 'offline-join'
+        });
+    }
+    if (review.length > 0) {
+        console.warn(`${review.length} offline join(s) in ${guild.name} could not be attributed automatically; review them with /offline-joins list`);
+    }
+}
+
+// Remember when a guild's full invite snapshot was last refreshed (offline joins are looked for after it)
+function markInvitesSeen(data, guildId) {
+    if (!data.inviteCodesSeenAt) data.inviteCodesSeenAt = {};
+    data.inviteCodesSeenAt[guildId] = Date.now();
+}
+
+async function handleGuildMemberRemove(member) {
     const guild = member.guild;
     const data = await loadInviteData();
-    
-    // Find who invited this member
-    let inviterId = null;
-    for (const [inviter, invitees] of Object.entries(data.memberInvites)) {
-        if (invitees.includes(member.id)) {
-            inviterId = inviter;
-            // Remove from invitee list
-            data.memberInvites[inviter] = invitees.filter(id => id !== member.id);
-            break;
-        }
+
+    // Find who invited this member (only within the guild they left)
+    const inviterId = findInviterOf(data, guild.id, member.id);
+    clearJoinAttribution(data, guild.id, member.id);
+    // Nothing left to review once a queued offline joiner has gone again
+    takeOfflineReview(data, guild.id, member.id);
+
+    // Members who leave right after joining are flagged as likely fake invites
+    const config = await loadGuildConfig(guild.id);
+    const openRecord = getOpenJoinRecord(data, guild.id, member.id);
+    const leaveReasons = evaluateLeaveSignals(openRecord, config);
+    if (flagRecord(openRecord, leaveReasons)) {
+        console.warn(`Flagged ${member.user.tag} as a possible fake invite (${leaveReasons.join(', ')})`);
     }
-    
+
+    // Keep the relationship; its history record is marked as left so it stops counting for rewards
+    closeJoinRecord(data, guild.id, member.id);
+    clearRoleSince(data, guild.id, member.id);
+    leaderboardCache.invalidate(guild.id);
+
     if (inviterId) {
         await saveInviteData(data);
-        console.log(`${member.user.tag} left. They were invited by ${inviterId}`);
-        
+        console.log(`${member.user.tag} left. They were invited by ${inviterId}; marked as left`);
+    
         // Update inviter roles
-        const config = await loadConfig();
-        await updateInviterRoles(inviterId, member, guild, config, data, false);
+        await updateInviterRoles(inviterId, guild, config, data, 'leave');
+    }
+}
+
+client.on(Events.GuildMemberRemove, (member) => runGuildTask(member.guild.id, () => handleGuildMemberRemove(member)));
+
+// Slash commands, each declared with its handler (see lib/commandRegistry.js). Definitions are
+// synced to Discord by syncGuildCommands / syncGlobalCommands whenever they change.
+const commands = createCommandRegistry();
+
+commands.define({
+    name: 'add-invite',
+    description: 'Manually add an inviter -> invitee relationship (staff only)',
+    options: [
+        { name: 'inviter', type: 6, description: 'The user who invited', required: true },
+        { name: 'invitee', type: 6, description: 'The user who was invited', required: true }
+    ]
+}, async (interaction) => {
+    const inviterUser = interaction.options.getUser('inviter');
+    const inviteeUser = interaction.options.getUser('invitee');
+    if (!inviterUser || !inviteeUser) {
+        await interaction.reply({ content: 'Both inviter and invitee must be provided.', ephemeral: true });
+        return;
+    }
+
+    // Self-invites are never credited, not even manually
+    if (inviterUser.id === inviteeUser.id) {
+        await interaction.reply({ content: 'A member cannot be recorded as inviting themselves.', ephemeral: true });
+        return;
+    }
+
+    const guild = interaction.guild;
+
+    await interaction.deferReply({ ephemeral: true });
+
+    try {
+        await guildQueue.run(guild.id, async () => {
+            const data = await loadInviteData();
+            // Ensure inviter array exists
+            const guildInvites = getGuildMemberInvites(data, guild.id);
+            if (!guildInvites[inviterUser.id]) guildInvites[inviterUser.id] = [];
+
+            // Try to fetch guild members for role updates
+            const inviteeMember = await guild.members.fetch(inviteeUser.id).catch(() => null);
+
+            // Avoid duplicates
+            if (!guildInvites[inviterUser.id].includes(inviteeUser.id)) {
+                guildInvites[inviterUser.id].push(inviteeUser.id);
+            }
+            const openRecord = getOpenJoinRecord(data, guild.id, inviteeUser.id);
+            if (!openRecord || openRecord.inviterId !== inviterUser.id) {
+                addJoinRecord(data, guild.id, {
+                    inviterId: inviterUser.id,
+                    inviteeId: inviteeUser.id,
+                    joinedAt: inviteeMember?.joinedAt ? inviteeMember.joinedAt.toISOString() : null,
+                    source: RELATIONSHIP_SOURCES.MANUAL,
+                    createdBy: interaction.user.id
+                });
+            }
+            leaderboardCache.invalidate(guild.id);
+            // A manual mapping settles any ambiguous attribution for this invitee
+            recordJoinAttribution(data, guild.id, inviteeUser.id, { inviterId: inviterUser.id, confidence: CONFIDENCE.CERTAIN, manual: true });
+            takeOfflineReview(data, guild.id, inviteeUser.id);
+            await saveInviteData(data);
+            recordAdminAction(guild, interaction.user.id, 'add-invite', { userId: inviterUser.id, details: `<@${inviterUser.id}> → <@${inviteeUser.id}>` });
+
+            const config = await loadGuildConfig(guild.id);
+            if (inviteeMember) {
+                scheduleInviteeMaturations(data, guild, inviterUser.id, inviteeMember, config);
+                await saveInviteData(data);
+            }
+
+            // Update inviter roles retroactively based on this invitee
+            await updateInviterRoles(inviterUser.id, guild, config, data, 'add-invite', { actorId: interaction.user.id });
+
+            await interaction.editReply({ content: `Recorded inviter <@${inviterUser.id}> → invitee <@${inviteeUser.id}> and updated roles.` });
+
+            // Send confirmation to logging channel if appropriate
+            try {
+                const confirmText = `✅ /add-invite by ${interaction.user.tag}: <@${inviterUser.id}> → <@${inviteeUser.id}>`;
+                await sendAdminActionConfirmation(guild, confirmText, inviterUser.id, inviteeUser.id);
+            } catch (e) {
+                REAL_CONSOLE.error('Error sending add-invite confirmation:', e);
+            }
+        });
+    } catch (error) {
+        REAL_CONSOLE.error('Error processing add-invite command:', error);
+        await interaction.editReply({ content: `Failed to add invite mapping: ${error.message || error}`, ephemeral: true });
+    }
+});
+
+commands.define({
+    name: 'remove-invite',
+    description: 'Remove an inviter -> invitee mapping (staff only)',
+    options: [
+        { name: 'inviter', type: 6, description: 'The inviter user', required: true },
+        { name: 'invitee', type: 6, description: 'The invitee user to remove', required: true }
+    ]
+}, async (interaction) => {
+    const inviterUser = interaction.options.getUser('inviter');
+    const inviteeUser = interaction.options.getUser('invitee');
+    if (!inviterUser || !inviteeUser) {
+        await interaction.reply({ content: 'Both inviter and invitee must be provided.', ephemeral: true });
+        return;
+    }
+
+    const guild = interaction.guild;
+
+    await interaction.deferReply({ ephemeral: true });
+
+    try {
+        await guildQueue.run(guild.id, async () => {
+            const data = await loadInviteData();
+            const guildInvites = getGuildMemberInvites(data, guild.id);
+            const arr = guildInvites[inviterUser.id] || [];
+            if (arr.includes(inviteeUser.id)) {
+                guildInvites[inviterUser.id] = arr.filter(id => id !== inviteeUser.id);
+                clearJoinAttribution(data, guild.id, inviteeUser.id);
+                removeJoinRecord(data, guild.id, inviterUser.id, inviteeUser.id, interaction.user.id);
+                leaderboardCache.invalidate(guild.id);
+                await saveInviteData(data);
+                recordAdminAction(guild, interaction.user.id, 'remove-invite', { userId: inviterUser.id, details: `<@${inviterUser.id}> → <@${inviteeUser.id}>` });
+
+                const config = await loadGuildConfig(guild.id);
+
+                // Update inviter roles now that this invitee no longer counts
+                await updateInviterRoles(inviterUser.id, guild, config, data, 'remove-invite', { actorId: interaction.user.id });
+
+                await interaction.editReply({ content: `Removed mapping for inviter <@${inviterUser.id}> → invitee <@${inviteeUser.id}> and updated roles.` });
+
+                // Send confirmation to logging channel if appropriate
+                try {
+                    const confirmText = `🗑️ /remove-invite by ${interaction.user.tag}: <@${inviterUser.id}> → <@${inviteeUser.id}>`;
+                    await sendAdminActionConfirmation(guild, confirmText, inviterUser.id, inviteeUser.id);
+                } catch (e) {
+                    REAL_CONSOLE.error('Error sending remove-invite confirmation:', e);
+                }
+            } else {
+                await interaction.editReply({ content: `No mapping found for inviter <@${inviterUser.id}> → invitee <@${inviteeUser.id}>.`, ephemeral: true });
+            }
+        });
+    } catch (error) {
+        REAL_CONSOLE.error('Error processing remove-invite command:', error);
+        await interaction.editReply({ content: `Failed to remove invite mapping: ${error.message || error}`, ephemeral: true });
     }
 });
 
-// Handle slash command interactions (add-invite)
-client.on(Events.InteractionCreate, async (interaction) => {
-    if (!interaction.isChatInputCommand()) return;
+commands.define({
+    name: 'list-invites',
+    description: 'List all invitees for a given inviter (staff only)',
+    options: [
+        { name: 'inviter', type: 6, description: 'The inviter user', required: true }
+    ]
+}, async (interaction) => {
+    const inviterUser = interaction.options.getUser('inviter');
+    if (!inviterUser) {
+        await interaction.reply({ content: 'Inviter user must be provided.', ephemeral: true });
+        return;
+    }
+
+    const guild = interaction.guild;
+
+    await interaction.deferReply({ ephemeral: true });
+
+    try {
+        const data = await loadInviteData();
+        const config = await loadGuildConfig(guild.id);
+        const payload = await buildInviteeListPage(data, guild, config, inviterUser.id, 0);
+        if (!payload) {
+            await interaction.editReply({ content: `No invitees found for <@${inviterUser.id}>.` });
+            return;
+        }
+        await interaction.editReply(payload);
+    } catch (error) {
+        REAL_CONSOLE.error('Error processing list-invites command:', error);
+        await interaction.editReply({ content: `Failed to list invitees: ${error.message || error}`, ephemeral: true });
+    }
+});
+
+commands.define({
+    name: 'invite-stats',
+    description: 'Show how members joined this server, by source (staff only)'
+}, async (interaction) => {
+    const guild = interaction.guild;
+
+    try {
+        const data = await loadInviteData();
+        const counts = data.joinSources?.[guild.id] || {};
+        const total = Object.values(counts).reduce((sum, n) => sum + n, 0);
+        const guildInvites = getGuildMemberInvites(data, guild.id);
+        const tracked = Object.values(guildInvites).reduce((sum, arr) => sum + arr.length, 0);
+        const vanity = data.vanitySnapshots?.[guild.id];
+
+        const lines = [
+            `**Join sources for ${guild.name}** (${total} joins recorded)`,
+            `Member invites: ${counts[JOIN_SOURCES.INVITE] || 0}`,
+            `Ambiguous invites (held back): ${counts.ambiguous || 0}`,
+            `Vanity URL${vanity ? ` (discord.gg/${vanity.code}, ${vanity.uses} uses)` : ''}: ${counts[JOIN_SOURCES.VANITY] || 0}`,
+            `Server Discovery (likely): ${counts[JOIN_SOURCES.DISCOVERY] || 0}`,
+            `Unknown: ${counts[JOIN_SOURCES.UNKNOWN] || 0}`,
+            '',
+            `Inviters tracked: ${Object.keys(guildInvites).filter(id => guildInvites[id].length > 0).length}, invitees tracked: ${tracked}`
+        ];
+
+        await interaction.reply({ content: lines.join('\n'), ephemeral: true });
+    } catch (error) {
+        REAL_CONSOLE.error('Error processing invite-stats command:', error);
+        await interaction.reply({ content: `Failed to load invite stats: ${error.message || error}`, ephemeral: true });
+    }
+});
+
+commands.define({
+    name: 'flagged-invites',
+    description: 'Review invitees flagged as possible fake accounts (staff only)',
+    options: [
+        { name: 'list', type: 1, description: 'List invitees awaiting review' },
+        {
+            name: 'clear',
+            type: 1,
+            description: 'Clear the flag so the invitee counts toward rewards again',
+            options: [{ name: 'invitee', type: 6, description: 'The flagged invitee', required: true }]
+        },
+        {
+            name: 'confirm',
+            type: 1,
+            description: 'Confirm the invitee as fake (stays excluded from rewards)',
+            options: [{ name: 'invitee', type: 6, description: 'The flagged invitee', required: true }]
+        }
+    ]
+}, async (interaction) => {
+    const guild = interaction.guild;
+
+    const subcommand = interaction.options.getSubcommand();
+    await interaction.deferReply({ ephemeral: true });
+
+    try {
+        if (subcommand === 'list') {
+            const data = await loadInviteData();
+            const pending = [];
+            let confirmed = 0;
+            let cleared = 0;
+            for (const records of Object.values(data.joinHistory?.[guild.id] || {})) {
+                for (const record of records) {
+                    if (!record.fake) continue;
+                    if (record.fake.status === FLAG_STATUS.FLAGGED) pending.push(record);
+                    else if (record.fake.status === FLAG_STATUS.CONFIRMED) confirmed++;
+                    else if (record.fake.status === FLAG_STATUS.CLEARED) cleared++;
+                }
+            }
+
+            const lines = pending.map(record => `<@${record.inviteeId}> invited by <@${record.inviterId}> — ${record.fake.reasons.join(', ')} — ${formatJoinRecord(record)}`);
+            let message = `**Flagged invitees awaiting review** (${pending.length}; ${confirmed} confirmed, ${cleared} cleared)`;
+            message += lines.length > 0 ? `\n${lines.join('\n')}` : '\nNothing to review.';
+            if (message.length > 2000) message = message.slice(0, 1990) + '\n…';
+            await interaction.editReply({ content: message });
+            return;
+        }
+
+        const inviteeUser = interaction.options.getUser('invitee');
+        const status = subcommand === 'clear' ? FLAG_STATUS.CLEARED : FLAG_STATUS.CONFIRMED;
+
+        await guildQueue.run(guild.id, async () => {
+            const data = await loadInviteData();
+            const record = [...getJoinRecords(data, guild.id, inviteeUser.id)].reverse().find(r => r.fake);
+            if (!record) {
+                await interaction.editReply({ content: `<@${inviteeUser.id}> has no flagged invite.` });
+                return;
+            }
+
+            reviewRecordFlag(record, status, interaction.user.id);
+            leaderboardCache.invalidate(guild.id);
+            await saveInviteData(data);
+            recordAdminAction(guild, interaction.user.id, `flagged-invites ${subcommand}`, { userId: record.inviterId, details: `invitee <@${inviteeUser.id}>` });
+
+            // Re-evaluate the inviter now that this invitee counts (or definitely doesn't)
+            if (record.inviterId && !record.leftAt && !record.removedAt) {
+                const config = await loadGuildConfig(guild.id);
+                await updateInviterRoles(record.inviterId, guild, config, data, `flag ${status}`, { actorId: interaction.user.id });
+            }
+
+            const verb = status === FLAG_STATUS.CLEARED ? 'Cleared' : 'Confirmed';
+            await interaction.editReply({ content: `${verb} fake-invite flag for <@${inviteeUser.id}> (invited by <@${record.inviterId}>).` });
+
+            try {
+                const confirmText = `🚩 /flagged-invites ${subcommand} by ${interaction.user.tag}: <@${record.inviterId}> → <@${inviteeUser.id}>`;
+                await sendAdminActionConfirmation(guild, confirmText, record.inviterId, inviteeUser.id);
+            } catch (e) {
+                REAL_CONSOLE.error('Error sending flagged-invites confirmation:', e);
+            }
+        });
+    } catch (error) {
+        REAL_CONSOLE.error('Error processing flagged-invites command:', error);
+        await interaction.editReply({ content: `Failed to review flagged invites: ${error.message || error}` });
+    }
+});
+
+commands.define({
+    name: 'leaderboard',
+    description: 'Rank inviters by active invitees',
+    options: [{
+        name: 'period',
+        type: 3,
+        description: 'Which invitees to count (defaults to all time)',
+        required: false,
+        choices: Object.entries(LEADERBOARD_PERIOD_LABELS).map(([value, name]) => ({ name, value }))
+    }]
+}, async (interaction) => {
+    const guild = interaction.guild;
+
+    const period = interaction.options.getString('period') || LEADERBOARD_PERIODS.ALL_TIME;
+    await interaction.deferReply();
+
+    try {
+        const data = await loadInviteData();
+        const config = await loadGuildConfig(guild.id);
+        await interaction.editReply(buildLeaderboardPage(data, guild, config, period, 0, interaction.user.id));
+    } catch (error) {
+        REAL_CONSOLE.error('Error processing leaderboard command:', error);
+        await interaction.editReply({ content: `Failed to load the leaderboard: ${error.message || error}` });
+    }
+});
+
+commands.define({
+    name: 'invites',
+    description: 'Invite stats and reward progress',
+    options: [
+        {
+            name: 'show',
+            type: 1,
+            description: 'Show your own or another member\'s invite stats',
+            options: [{ name: 'member', type: 6, description: 'Member to look up (defaults to you)', required: false }]
+        },
+        {
+            name: 'adjust',
+            type: 1,
+            description: 'Add a bonus (positive) or penalty (negative) to an inviter\'s count (staff only)',
+            options: [
+                { name: 'member', type: 6, description: 'The inviter to adjust', required: true },
+                { name: 'amount', type: 4, description: 'Signed amount, e.g. 2 or -1', required: true },
+                { name: 'reason', type: 3, description: 'Why the adjustment is made', required: true }
+            ]
+        }
+    ]
+}, async (interaction) => {
+    const guild = interaction.guild;
+
+    if (interaction.options.getSubcommand() === 'adjust') {
+        const targetUser = interaction.options.getUser('member');
+        const amount = interaction.options.getInteger('amount');
+        const reason = interaction.options.getString('reason').trim();
+        if (amount === 0 || !reason) {
+            await interaction.reply({ content: 'Provide a non-zero amount and a reason.', ephemeral: true });
+            return;
+        }
+
+        await interaction.deferReply({ ephemeral: true });
+        try {
+            await guildQueue.run(guild.id, async () => {
+                const data = await loadInviteData();
+                addAdjustment(data, guild.id, targetUser.id, { amount, reason, by: interaction.user.id });
+                leaderboardCache.invalidate(guild.id);
+                await saveInviteData(data);
+                console.log(`Invite adjustment ${formatSigned(amount)} for ${targetUser.tag} by ${interaction.user.tag}: ${reason}`);
+                recordAdminAction(guild, interaction.user.id, 'invites adjust', { userId: targetUser.id, details: `${formatSigned(amount)} (${reason})` });
+
+                const config = await loadGuildConfig(guild.id);
+                await updateInviterRoles(targetUser.id, guild, config, data, 'adjustment', { actorId: interaction.user.id });
 
-    if (interaction.commandName === 'add-invite') {
-        // Permission check: require ADMINISTRATOR or ManageGuild
-        const member = interaction.member;
-        if (!member || !member.permissions) {
-            await interaction.reply({ content: 'Unable to verify permissions.', ephemeral: true });
-            return;
+                const total = getBonusTotal(data, guild.id, targetUser.id);
+                await interaction.editReply({ content: `Recorded ${formatSigned(amount)} for <@${targetUser.id}> (${reason}). Their bonus is now ${formatSigned(total)}; roles updated.` });
+            });
+        } catch (error) {
+            REAL_CONSOLE.error('Error processing invites adjust command:', error);
+            await interaction.editReply({ content: `Failed to record the adjustment: ${error.message || error}` });
         }
+        return;
+    }
 
-        const hasPerm = member.permissions.has(PermissionsBitField.Flags.Administrator) || member.permissions.has(PermissionsBitField.Flags.ManageGuild);
-        if (!hasPerm) {
-            await interaction.reply({ content: 'You need Administrator or Manage Guild permission to run this command.', ephemeral: true });
-            return;
-        }
+    const targetUser = interaction.options.getUser('member') || interaction.user;
+    await interaction.deferReply({ ephemeral: true });
 
-        const inviterUser = interaction.options.getUser('inviter');
-        const inviteeUser = interaction.options.getUser('invitee');
-        if (!inviterUser || !inviteeUser) {
-            await interaction.reply({ content: 'Both inviter and invitee must be provided.', ephemeral: true });
-            return;
-        }
+    try {
+        const data = await loadInviteData();
+        const config = await loadGuildConfig(guild.id);
+        await interaction.editReply({ content: await buildInviteSummary(data, guild, config, targetUser) });
+    } catch (error) {
+        REAL_CONSOLE.error('Error processing invites command:', error);
+        await interaction.editReply({ content: `Failed to load invite stats: ${error.message || error}` });
+    }
+});
 
-        const guild = interaction.guild;
-        if (!guild) {
-            await interaction.reply({ content: 'This command must be used in a guild.', ephemeral: true });
-            return;
+commands.define({
+    name: 'season',
+    description: 'Manage invite competition seasons (staff only)',
+    options: [
+        {
+            name: 'close',
+            type: 1,
+            description: 'Close a season now, archive its standings and expire its rewards',
+            options: [{ name: 'season', type: 3, description: 'Season id (defaults to the current season)', required: false }]
+        },
+        {
+            name: 'results',
+            type: 1,
+            description: 'Show the standings of a season (archived or live)',
+            options: [{ name: 'season', type: 3, description: 'Season id (defaults to the current season)', required: false }]
         }
+    ]
+}, async (interaction) => {
+    const guild = interaction.guild;
 
-        await interaction.deferReply({ ephemeral: true });
+    const subcommand = interaction.options.getSubcommand();
+    const seasonId = interaction.options.getString('season') || CURRENT_SEASON;
+    await interaction.deferReply({ ephemeral: true });
 
-        try {
+    try {
+        await guildQueue.run(guild.id, async () => {
             const data = await loadInviteData();
-            // Ensure inviter array exists
-            if (!data.memberInvites[inviterUser.id]) data.memberInvites[inviterUser.id] = [];
+            const config = await loadGuildConfig(guild.id);
+            const season = findSeason(config.seasons, data, guild.id, seasonId);
+            if (!season) {
+                const known = config.seasons.map(s => `\`${s.id}\``).join(', ') || 'none configured';
+                await interaction.editReply({ content: seasonId === CURRENT_SEASON ? `No season is running right now (seasons: ${known}).` : `Unknown season \`${seasonId}\` (seasons: ${known}).` });
+                return;
+            }
 
-            // Avoid duplicates
-            if (!data.memberInvites[inviterUser.id].includes(inviteeUser.id)) {
-                data.memberInvites[inviterUser.id].push(inviteeUser.id);
-                await saveInviteData(data);
+            const formatStandings = standings => standings.slice(0, 10)
+                .map((entry, index) => `${index + 1}. <@${entry.inviterId}> — ${entry.count} invitee${entry.count === 1 ? '' : 's'}`)
+                .join('\n') || 'No invitees credited in this season.';
+            const toTimestamp = ms => `<t:${Math.floor(ms / 1000)}:d>`;
+
+            if (subcommand === 'results') {
+                const archive = getSeasonArchive(data, guild.id, season.id);
+                const standings = archive
+                    ? archive.standings
+                    : getPeriodStandings(data, guild.id, { from: season.start, to: Math.min(getSeasonEnd(season, data, guild.id), Date.now()) });
+                const status = archive
+                    ? `closed ${toTimestamp(archive.closedAt)}${archive.closedBy ? ` by <@${archive.closedBy}>` : ''}`
+                    : `${toTimestamp(season.start)} – ${toTimestamp(season.end)}, live standings`;
+                await interaction.editReply({ content: `**${season.name}** (${status})\n${formatStandings(standings)}` });
+                return;
             }
 
-            // Try to fetch guild members for role updates
-            const inviteeMember = await guild.members.fetch(inviteeUser.id).catch(() => null);
-            const config = await loadConfig();
+            if (getSeasonArchive(data, guild.id, season.id)) {
+                await interaction.editReply({ content: `Season **${season.name}** is already closed. Use \`/season results season:${season.id}\` to see its standings.` });
+                return;
+            }
+            if (season.start > Date.now()) {
+                await interaction.editReply({ content: `Season **${season.name}** has not started yet (starts ${toTimestamp(season.start)}).` });
+                return;
+            }
 
-            // Update inviter roles retroactively based on this invitee
-            await updateInviterRoles(inviterUser.id, inviteeMember || { id: inviteeUser.id, user: inviteeUser, roles: { cache: new Map() } }, guild, config, data, true);
+            const archive = archiveSeason(data, guild.id, season, interaction.user.id);
+            leaderboardCache.invalidate(guild.id);
+            await saveInviteData(data);
+            console.log(`Season ${season.id} closed in ${guild.name} by ${interaction.user.tag}; ${archive.standings.length} inviters archived`);
+            recordAdminAction(guild, interaction.user.id, 'season close', { details: `season ${season.id}, ${archive.standings.length} inviters archived` });
 
-            await interaction.editReply({ content: `Recorded inviter <@${inviterUser.id}> → invitee <@${inviteeUser.id}> and updated roles.` });
+            // Season-scoped rewards expire now that the season is over
+            await applyRolesRetroactively(guild, config, data, { trigger: 'season-close', actorId: interaction.user.id });
 
-            // Send confirmation to logging channel if appropriate
-            try {
-                const confirmText = `✅ /add-invite by ${interaction.user.tag}: <@${inviterUser.id}> → <@${inviteeUser.id}>`;
-                sendAdminActionConfirmation(confirmText, inviterUser.id, inviteeUser.id);
-            } catch (e) {
-                REAL_CONSOLE.error('Error sending add-invite confirmation:', e);
-            }
-        } catch (error) {
-            REAL_CONSOLE.error('Error processing add-invite command:', error);
-            await interaction.editReply({ content: `Failed to add invite mapping: ${error.message || error}`, ephemeral: true });
-        }
+            await interaction.editReply({ content: `Closed season **${season.name}** and archived its standings:\n${formatStandings(archive.standings)}` });
+        });
+    } catch (error) {
+        REAL_CONSOLE.error('Error processing season command:', error);
+        await interaction.editReply({ content: `Failed to process season command: ${error.message || error}` });
     }
-    else if (interaction.commandName === 'remove-invite') {
-        // Permission check: require ADMINISTRATOR or ManageGuild
-        const member = interaction.member;
-        if (!member || !member.permissions) {
-            await interaction.reply({ content: 'Unable to verify permissions.', ephemeral: true });
-            return;
-        }
+});
 
-        const hasPerm = member.permissions.has(PermissionsBitField.Flags.Administrator) || member.permissions.has(PermissionsBitField.Flags.ManageGuild);
-        if (!hasPerm) {
-            await interaction.reply({ content: 'You need Administrator or Manage Guild permission to run this command.', ephemeral: true });
-            return;
-        }
+// Options shared by /invite-config permission-allow and permission-revoke
+const ACCESS_OPTIONS = [
+    { name: 'command', type: 3, description: 'Command or subcommand, e.g. add-invite or invites adjust', required: true },
+    { name: 'role', type: 8, description: 'Role (e.g. your recruitment staff)', required: false },
+    { name: 'user', type: 6, description: 'Single member', required: false },
+    { name: 'permission', type: 3, description: 'Permission flag name, e.g. ManageGuild or ModerateMembers', required: false },
+    { name: 'everyone', type: 5, description: 'Every member', required: false }
+];
+
+// Options shared by /invite-config rule-add and rule-edit
+const RULE_OPTIONS = [
+    { name: 'role', type: 8, description: 'Reward role the rule grants', required: false },
+    { name: 'min', type: 4, description: 'Invitees needed (builds a simple inviteeCount rule)', required: false, min_value: 0 },
+    { name: 'invitee-role', type: 8, description: 'With min: only count invitees that have this role', required: false },
+    { name: 'when', type: 3, description: 'Full condition as JSON (instead of min), same format as config.json', required: false }
+];
+
+commands.define({
+    name: 'invite-config',
+    description: 'Manage this server\'s invite reward settings (staff only)',
+    options: [
+        { name: 'view', type: 1, description: 'Show the reward rules and log channel in effect here' },
+        {
+            name: 'rule-add',
+            type: 1,
+            description: 'Add a reward rule',
+            options: [{ name: 'name', type: 3, description: 'Rule name', required: true }, ...RULE_OPTIONS]
+        },
+        {
+            name: 'rule-edit',
+            type: 1,
+            description: 'Change a reward rule',
+            options: [
+                { name: 'name', type: 3, description: 'Rule to change', required: true },
+                { name: 'new-name', type: 3, description: 'Rename the rule', required: false },
+                ...RULE_OPTIONS
+            ]
+        },
+        {
+            name: 'rule-remove',
+            type: 1,
+            description: 'Remove a reward rule',
+            options: [{ name: 'name', type: 3, description: 'Rule to remove', required: true }]
+        },
+        {
+            name: 'log-channel',
+            type: 1,
+            description: 'Set the channel for this server\'s reward and admin logs (omit to clear)',
+            options: [{ name: 'channel', type: 7, description: 'Log channel', required: false }]
+        },
+        { name: 'permissions', type: 1, description: 'Show who may use each command here' },
+        { name: 'permission-allow', type: 1, description: 'Let a role, member or permission use a command or subcommand', options: ACCESS_OPTIONS },
+        { name: 'permission-revoke', type: 1, description: 'Take a command or subcommand away from a role, member or permission', options: ACCESS_OPTIONS },
+        {
+            name: 'permission-reset',
+            type: 1,
+            description: 'Use the default access from config.json again',
+            options: [{ name: 'command', type: 3, description: 'Command or subcommand (omit to reset every command)', required: false }]
+        },
+        { name: 'reset', type: 1, description: 'Drop this server\'s customizations and use the default config again' }
+    ]
+}, async (interaction) => {
+    const guild = interaction.guild;
 
-        const inviterUser = interaction.options.getUser('inviter');
-        const inviteeUser = interaction.options.getUser('invitee');
-        if (!inviterUser || !inviteeUser) {
-            await interaction.reply({ content: 'Both inviter and invitee must be provided.', ephemeral: true });
-            return;
-        }
+    const subcommand = interaction.options.getSubcommand();
+    await interaction.deferReply({ ephemeral: true });
 
-        const guild = interaction.guild;
-        if (!guild) {
-            await interaction.reply({ content: 'This command must be used in a guild.', ephemeral: true });
-            return;
-        }
+    try {
+        await guildQueue.run(guild.id, async () => {
+            const data = await loadInviteData();
+            const by = interaction.user.id;
 
-        await interaction.deferReply({ ephemeral: true });
+            if (subcommand === 'view') {
+                await interaction.editReply(buildGuildConfigPage(data, guild, await loadGuildConfig(guild.id), 0));
+                return;
+            }
 
-        try {
-            const data = await loadInviteData();
-            const arr = data.memberInvites[inviterUser.id] || [];
-            if (arr.includes(inviteeUser.id)) {
-                data.memberInvites[inviterUser.id] = arr.filter(id => id !== inviteeUser.id);
+            if (subcommand === 'log-channel') {
+                const channel = interaction.options.getChannel('channel');
+                if (channel && !channel.isTextBased()) {
+                    await interaction.editReply({ content: `<#${channel.id}> is not a text channel.` });
+                    return;
+                }
+                setLogChannel(data, guild.id, channel?.id || null, by);
                 await saveInviteData(data);
+                console.log(`Log channel for ${guild.name} ${channel ? `set to #${channel.name}` : 'cleared'} by ${interaction.user.tag}`);
+                recordAdminAction(guild, by, 'invite-config log-channel', { details: channel ? `<#${channel.id}>` : 'cleared' });
+                await interaction.editReply({ content: channel ? `Reward and admin logs for this server now go to <#${channel.id}>.` : 'Log channel cleared.' });
+                return;
+            }
 
-                // Try to fetch guild member for role updates
-                const inviteeMember = await guild.members.fetch(inviteeUser.id).catch(() => null);
-                const config = await loadConfig();
+            if (subcommand === 'permissions') {
+                await interaction.editReply(buildCommandAccessPage(data, guild, await loadGuildConfig(guild.id), 0));
+                return;
+            }
 
-                // Update inviter roles (treat as leave/remove)
-                await updateInviterRoles(inviterUser.id, inviteeMember || { id: inviteeUser.id, user: inviteeUser, roles: { cache: new Map() } }, guild, config, data, false);
+            if (subcommand.startsWith('permission-')) {
+                const rawTarget = interaction.options.getString('command');
+                const target = rawTarget ? rawTarget.trim().replace(/^\//, '').replace(/\s+/g, ' ').toLowerCase() : null;
+                if (target && !listAccessTargets(commands.definitions()).includes(target)) {
+                    await interaction.editReply({ content: `Unknown command \`${target}\`. Give a command such as \`add-invite\`, or a command and subcommand such as \`invites adjust\`.` });
+                    return;
+                }
 
-                await interaction.editReply({ content: `Removed mapping for inviter <@${inviterUser.id}> → invitee <@${inviteeUser.id}> and updated roles.` });
+                if (subcommand === 'permission-reset') {
+                    if (!resetCommandAccess(data, guild.id, target, by)) {
+                        await interaction.editReply({ content: target ? `\`/${target}\` already uses the default access.` : 'Every command already uses the default access.' });
+                        return;
+                    }
+                } else {
+                    const role = interaction.options.getRole('role');
+                    const user = interaction.options.getUser('user');
+                    const permission = interaction.options.getString('permission')?.trim() || null;
+                    const everyone = interaction.options.getBoolean('everyone') === true;
+                    if (!role && !user && !permission && !everyone) {
+                        await interaction.editReply({ content: 'Give a `role`, `user`, `permission` or `everyone`.' });
+                        return;
+                    }
+                    if (permission && !isPermissionFlag(permission)) {
+                        await interaction.editReply({ content: `Unknown permission \`${permission}\`. Use Discord's flag name, e.g. \`ManageGuild\`, \`KickMembers\` or \`ModerateMembers\`.` });
+                        return;
+                    }
 
-                // Send confirmation to logging channel if appropriate
-                try {
-                    const confirmText = `🗑️ /remove-invite by ${interaction.user.tag}: <@${inviterUser.id}> → <@${inviteeUser.id}>`;
-                    sendAdminActionConfirmation(confirmText, inviterUser.id, inviteeUser.id);
-                } catch (e) {
-                    REAL_CONSOLE.error('Error sending remove-invite confirmation:', e);
+                    // Start from the access in effect so the entry only differs by this change
+                    const allow = subcommand === 'permission-allow';
+                    const [commandName, sub] = target.split(' ');
+                    const access = resolveAccess((await loadGuildConfig(guild.id)).commandPermissions, commandName, sub);
+                    const toggle = (list, value) => {
+                        if (!value) return list;
+                        const rest = list.filter(item => item !== value);
+                        return allow ? [...rest, value] : rest;
+                    };
+                    access.roleIds = toggle(access.roleIds, role?.id);
+                    access.userIds = toggle(access.userIds, user?.id);
+                    access.permissions = toggle(access.permissions, permission);
+                    if (everyone) access.everyone = allow;
+                    setCommandAccess(data, guild.id, target, access, by);
+                }
+
+                await saveInviteData(data);
+                console.log(`/invite-config ${subcommand}${target ? ` ${target}` : ''} by ${interaction.user.tag} in ${guild.name}`);
+                recordAdminAction(guild, by, `invite-config ${subcommand}`, { details: target ? `/${target}` : 'every command' });
+                await syncGuildCommands(guild);
+
+                if (!target) {
+                    await interaction.editReply({ content: 'Every command uses the default access from config.json again.' });
+                    return;
+                }
+                const [commandName, sub] = target.split(' ');
+                const access = resolveAccess((await loadGuildConfig(guild.id)).commandPermissions, commandName, sub);
+                await interaction.editReply({ content: `\`/${target}\` can now be used by: ${describeAccess(access)}.` });
+                return;
+            }
+
+            if (subcommand === 'reset') {
+                resetGuildConfig(data, guild.id);
+                await saveInviteData(data);
+                console.log(`Invite config for ${guild.name} reset to config.json by ${interaction.user.tag}`);
+                recordAdminAction(guild, by, 'invite-config reset');
+                await syncGuildCommands(guild);
+                await reconcileGuildConfig(guild, { trigger: 'invite-config', actorId: by });
+                await interaction.editReply({ content: 'This server uses the default config.json settings again. Roles have been re-evaluated.' });
+                return;
+            }
+
+            // rule-add / rule-edit / rule-remove work on the effective rules; the template is
+            // only copied into the guild's own list once the change is known to be valid
+            const config = await loadGuildConfig(guild.id);
+            const name = interaction.options.getString('name');
+            const index = findRuleIndex(config.rewardRules, name);
+            const role = interaction.options.getRole('role');
+            const conditionOptions = {
+                min: interaction.options.getInteger('min'),
+                when: interaction.options.getString('when'),
+                inviteeRoleId: interaction.options.getRole('invitee-role')?.id
+            };
+            const hasCondition = conditionOptions.min !== null || conditionOptions.when !== null;
+            if (conditionOptions.inviteeRoleId && conditionOptions.min === null) {
+                await interaction.editReply({ content: '`invitee-role` only applies together with `min`.' });
+                return;
+            }
+
+            let result;
+            let summary;
+            if (subcommand === 'rule-add') {
+                if (index >= 0) {
+                    await interaction.editReply({ content: `A rule named **${config.rewardRules[index].name}** already exists; use \`/invite-config rule-edit\`.` });
+                    return;
+                }
+                if (!role) {
+                    await interaction.editReply({ content: 'A new rule needs a reward `role`.' });
+                    return;
+                }
+                result = buildRule({ name, roleId: role.id, ...conditionOptions });
+                if (result.rule) {
+                    customizeRules(data, guild.id, config.rewardRules, by).push(result.rule);
+                    summary = `Added rule **${result.rule.name}** granting <@&${role.id}>.`;
+                }
+            } else if (subcommand === 'rule-edit') {
+                if (index < 0) {
+                    await interaction.editReply({ content: `No rule named **${name}**.` });
+                    return;
+                }
+                const newName = interaction.options.getString('new-name');
+                if (newName && findRuleIndex(config.rewardRules, newName) >= 0 && findRuleIndex(config.rewardRules, newName) !== index) {
+                    await interaction.editReply({ content: `A rule named **${newName}** already exists.` });
+                    return;
+                }
+                if (!newName && !role && !hasCondition) {
+                    await interaction.editReply({ content: 'Nothing to change: give a new name, role, min or when.' });
+                    return;
+                }
+                const updated = { ...config.rewardRules[index] };
+                if (newName) updated.name = newName;
+                if (role) {
+                    updated.roleId = role.id;
+                    delete updated.roleName;
+                }
+                if (hasCondition) {
+                    result = buildRule({ name: updated.name, roleId: updated.roleId, ...conditionOptions });
+                    if (result.rule) updated.when = result.rule.when;
+                }
+                if (!result || result.rule) result = validateRule(updated);
+                if (result.rule) {
+                    customizeRules(data, guild.id, config.rewardRules, by)[index] = result.rule;
+                    summary = `Updated rule **${result.rule.name}**.`;
                 }
             } else {
-                await interaction.editReply({ content: `No mapping found for inviter <@${inviterUser.id}> → invitee <@${inviteeUser.id}>.`, ephemeral: true });
+                if (index < 0) {
+                    await interaction.editReply({ content: `No rule named **${name}**.` });
+                    return;
+                }
+                const [removed] = customizeRules(data, guild.id, config.rewardRules, by).splice(index, 1);
+                result = { rule: removed, errors: [] };
+                summary = `Removed rule **${removed.name}**. Members who already hold its role keep it; remove the role manually if needed.`;
             }
-        } catch (error) {
-            REAL_CONSOLE.error('Error processing remove-invite command:', error);
-            await interaction.editReply({ content: `Failed to remove invite mapping: ${error.message || error}`, ephemeral: true });
-        }
+
+            if (!result.rule) {
+                await interaction.editReply({ content: `Invalid rule:\n- ${result.errors.join('\n- ')}` });
+                return;
+            }
+
+            await saveInviteData(data);
+            console.log(`/invite-config ${subcommand} by ${interaction.user.tag} in ${guild.name}: rule ${result.rule.name}`);
+            recordAdminAction(guild, by, `invite-config ${subcommand}`, { details: `rule ${result.rule.name}` });
+            await reconcileGuildConfig(guild, { trigger: 'invite-config', actorId: by });
+
+            // Point out problems with the rule's roles right away instead of only in the logs
+            const problems = subcommand === 'rule-remove'
+                ? []
+                : getRoleProblems(guild, { rewardRules: [result.rule], rewardLadders: [] });
+            const warning = problems.length > 0 ? `\n⚠️ ${problems.join('\n⚠️ ')}` : '';
+            await interaction.editReply({ content: `${summary} Roles have been re-evaluated.${warning}` });
+        });
+    } catch (error) {
+        REAL_CONSOLE.error('Error processing invite-config command:', error);
+        await interaction.editReply({ content: `Failed to process invite-config command: ${error.message || error}` });
     }
-    else if (interaction.commandName === 'list-invites') {
-        // Permission check: require ADMINISTRATOR or ManageGuild
-        const member = interaction.member;
-        if (!member || !member.permissions) {
-            await interaction.reply({ content: 'Unable to verify permissions.', ephemeral: true });
-            return;
-        }
+});
 
-        const hasPerm = member.permissions.has(PermissionsBitField.Flags.Administrator) || member.permissions.has(PermissionsBitField.Flags.ManageGuild);
-        if (!hasPerm) {
-            await interaction.reply({ content: 'You need Administrator or Manage Guild permission to run this command.', ephemeral: true });
-            return;
+commands.define({
+    name: 'invite-rules',
+    description: 'Inspect invite reward rules (staff only)',
+    options: [
+        {
+            name: 'preview',
+            type: 1,
+            description: 'Show which roles a retroactive pass would add or remove, without changing anything',
+            options: [{ name: 'config', type: 11, description: 'Candidate config.json to preview instead of the current rules', required: false }]
         }
+    ]
+}, async (interaction) => {
+    const guild = interaction.guild;
 
-        const inviterUser = interaction.options.getUser('inviter');
-        if (!inviterUser) {
-            await interaction.reply({ content: 'Inviter user must be provided.', ephemeral: true });
-            return;
+    const upload = interaction.options.getAttachment('config');
+    if (upload && upload.size > MAX_PREVIEW_CONFIG_BYTES) {
+        await interaction.reply({ content: 'That file is too large to be a config.json.', ephemeral: true });
+        return;
+    }
+    await interaction.deferReply({ ephemeral: true });
+
+    try {
+        // Read the candidate before queueing so a slow download does not hold up the guild
+        let raw = null;
+        if (upload) {
+            const response = await fetch(upload.url);
+            if (!response.ok) throw new Error(`could not download the attachment (HTTP ${response.status})`);
+            try {
+                raw = JSON.parse(await response.text());
+            } catch (error) {
+                await interaction.editReply({ content: `The attachment is not valid JSON: ${error.message}` });
+                return;
+            }
         }
 
-        const guild = interaction.guild;
-        if (!guild) {
-            await interaction.reply({ content: 'This command must be used in a guild.', ephemeral: true });
-            return;
+        await guildQueue.run(guild.id, async () => {
+            const data = await loadInviteData();
+            let config = await loadGuildConfig(guild.id);
+            if (raw) {
+                const { config: candidate, errors } = validateConfig(raw);
+                if (errors.length > 0) {
+                    await interaction.editReply({ content: `The attached config is invalid:\n- ${errors.slice(0, 15).join('\n- ')}` });
+                    return;
+                }
+                config = mergeCandidateConfig(config, raw, candidate);
+            }
+
+            const source = upload ? `attached ${upload.name}` : 'current rules';
+            const results = await applyRolesRetroactively(guild, config, data, { dryRun: true, trigger: 'preview' });
+            const { inviters, adds, removes } = summarizePreview(results);
+            const report = formatPreviewReport({ guildName: guild.name, source, results });
+            const problems = getRoleProblems(guild, config);
+            const warning = problems.length > 0 ? `\n⚠️ ${problems.slice(0, 5).join('\n⚠️ ')}${problems.length > 5 ? `\n…and ${problems.length - 5} more role problem(s)` : ''}` : '';
+            console.log(`Reward preview (${source}) by ${interaction.user.tag} in ${guild.name}: ${inviters} inviters, +${adds} -${removes}`);
+
+            await interaction.editReply({
+                content: `Preview of the ${source}: ${inviters} inviter(s) would change, ${adds} role(s) added and ${removes} removed. Nothing was changed.${warning}`,
+                files: [new AttachmentBuilder(Buffer.from(report, 'utf8'), { name: `reward-preview-${guild.id}.txt` })]
+            });
+        });
+    } catch (error) {
+        REAL_CONSOLE.error('Error processing invite-rules command:', error);
+        await interaction.editReply({ content: `Failed to preview rules: ${error.message || error}` });
+    }
+});
+
+commands.define({
+    name: 'offline-joins',
+    description: 'Review joins that happened while the bot was offline (staff only)',
+    options: [
+        { name: 'list', type: 1, description: 'List offline joins that could not be attributed automatically' },
+        {
+            name: 'resolve',
+            type: 1,
+            description: 'Credit a queued offline join to an inviter',
+            options: [
+                { name: 'member', type: 6, description: 'The member who joined', required: true },
+                { name: 'inviter', type: 6, description: 'The member who invited them', required: true }
+            ]
+        },
+        {
+            name: 'dismiss',
+            type: 1,
+            description: 'Remove a queued offline join without crediting anyone',
+            options: [{ name: 'member', type: 6, description: 'The member who joined', required: true }]
         }
+    ]
+}, async (interaction) => {
+    const guild = interaction.guild;
 
-        await interaction.deferReply({ ephemeral: true });
+    const subcommand = interaction.options.getSubcommand();
+    await interaction.deferReply({ ephemeral: true });
 
-        try {
+    try {
+        await guildQueue.run(guild.id, async () => {
             const data = await loadInviteData();
-            const inviteeIds = data.memberInvites[inviterUser.id] || [];
+            if (subcommand === 'list') {
+                await interaction.editReply(buildOfflineReviewPage(data, guild, 0));
+                return;
+            }
 
-            if (inviteeIds.length === 0) {
-                await interaction.editReply({ content: `No invitees found for <@${inviterUser.id}>.` });
+            const memberUser = interaction.options.getUser('member');
+            const entry = takeOfflineReview(data, guild.id, memberUser.id);
+            if (!entry) {
+                await interaction.editReply({ content: `<@${memberUser.id}> is not waiting for review.` });
                 return;
             }
 
-            // Fetch invitee members and build a list
-            const inviteeList = [];
-            for (const inviteeId of inviteeIds) {
-                try {
-                    const inviteeMember = await guild.members.fetch(inviteeId).catch(() => null);
-                    if (inviteeMember) {
-                        inviteeList.push(`<@${inviteeMember.id}> (${inviteeMember.user.tag})`);
-                    } else {
-                        inviteeList.push(`<@${inviteeId}> (not in guild)`);
-                    }
-                } catch (e) {
-                    inviteeList.push(`ID: ${inviteeId} (error fetching)`);
-                }
+            if (subcommand === 'dismiss') {
+                await saveInviteData(data);
+                console.log(`Offline join of ${memberUser.tag} in ${guild.name} dismissed by ${interaction.user.tag}`);
+                recordAdminAction(guild, interaction.user.id, 'offline-joins dismiss', { userId: memberUser.id });
+                await interaction.editReply({ content: `Dismissed the offline join of <@${memberUser.id}>; nobody was credited.` });
+                return;
             }
 
-            const listText = inviteeList.join('\n');
-            const message = `**Invitees for <@${inviterUser.id}>** (${inviteeIds.length} total):\n${listText}`;
-
-            // If message is too long, split into chunks
-            if (message.length > 2000) {
-                const lines = message.split('\n');
-                let current = '';
-                for (const line of lines) {
-                    if ((current + line).length > 1990) {
-                        await interaction.followUp({ content: current, ephemeral: true });
-                        current = '';
-                    }
-                    current += line + '\n';
-                }
-                if (current.trim()) {
-                    await interaction.followUp({ content: current, ephemeral: true });
-                }
-                // Edit initial reply to indicate multi-message response
-                await interaction.editReply({ content: '(see messages below)' });
-            } else {
-                await interaction.editReply({ content: message });
+            const inviterUser = interaction.options.getUser('inviter');
+            const joinedMember = await guild.members.fetch(memberUser.id).catch(() => null);
+            if (!joinedMember) {
+                await saveInviteData(data);
+                await interaction.editReply({ content: `<@${memberUser.id}> is no longer in the server; removed from the review queue.` });
+                return;
             }
-        } catch (error) {
-            REAL_CONSOLE.error('Error processing list-invites command:', error);
-            await interaction.editReply({ content: `Failed to list invitees: ${error.message || error}`, ephemeral: true });
+
+            const inviterCodes = entry.candidates.filter(c => c.inviterId === inviterUser.id);
+            const code = inviterCodes.length === 1 ? inviterCodes[0].code : null;
+            recordJoinAttribution(data, guild.id, memberUser.id, { inviterId: inviterUser.id, code, confidence: CONFIDENCE.CERTAIN, manual: true });
+            recordAdminAction(guild, interaction.user.id, 'offline-joins resolve', { userId: inviterUser.id, details: `<@${inviterUser.id}> → <@${memberUser.id}>` });
+            const creditedId = await creditJoin(data, guild, joinedMember, {
+                inviterId: inviterUser.id,
+                code,
+                confidence: CONFIDENCE.CERTAIN,
+                source: RELATIONSHIP_SOURCES.MANUAL,
+                createdBy: interaction.user.id,
+                trigger: 'offline-review'
+            });
+
+            const note = inviterCodes.length === 0 ? ' (none of the invites that gained uses belongs to them)' : '';
+            const result = creditedId
+                ? `Credited <@${memberUser.id}> to <@${creditedId}>${note} and updated roles.`
+                : `Resolved <@${memberUser.id}>, but the credit rules did not credit <@${inviterUser.id}> (self-invite or rejoin cooldown).`;
+            await interaction.editReply({ content: result });
+            await sendAdminActionConfirmation(guild, `✅ /offline-joins resolve by ${interaction.user.tag}: <@${inviterUser.id}> → <@${memberUser.id}>`, inviterUser.id, memberUser.id);
+        });
+    } catch (error) {
+        REAL_CONSOLE.error('Error processing offline-joins command:', error);
+        await interaction.editReply({ content: `Failed to process offline-joins command: ${error.message || error}` });
+    }
+});
+
+commands.define({
+    name: 'invite-audit',
+    description: 'Show the audit log of reward role changes and admin actions (staff only)',
+    options: [
+        { name: 'member', type: 6, description: 'Only entries about or by this member', required: false },
+        { name: 'from', type: 3, description: 'Start date, e.g. 2026-11-01 (UTC)', required: false },
+        { name: 'to', type: 3, description: 'End date, inclusive, e.g. 2026-11-30 (UTC)', required: false },
+        {
+            name: 'type',
+            type: 3,
+            description: 'Only reward role changes or only admin actions',
+            required: false,
+            choices: [
+                { name: 'Reward role changes', value: AUDIT_TYPES.REWARD },
+                { name: 'Admin actions', value: AUDIT_TYPES.ADMIN }
+            ]
+        }
+    ]
+}, async (interaction) => {
+    const guild = interaction.guild;
+
+    const { from, to, error: rangeError } = parseDateRange(interaction.options.getString('from'), interaction.options.getString('to'));
+    if (rangeError) {
+        await interaction.reply({ content: rangeError, ephemeral: true });
+        return;
+    }
+    await interaction.deferReply({ ephemeral: true });
+
+    try {
+        const filter = {
+            userId: interaction.options.getUser('member')?.id || null,
+            type: interaction.options.getString('type'),
+            from: from ? Date.parse(from) : null,
+            to: to ? Date.parse(to) : null
+        };
+        await interaction.editReply(await buildAuditPage(guild, filter, 0));
+    } catch (error) {
+        REAL_CONSOLE.error('Error processing invite-audit command:', error);
+        await interaction.editReply({ content: `Failed to read the audit log: ${error.message || error}` });
+    }
+});
+
+// Route slash commands through the registry after checking the member's access; buttons go to the
+// paged-reply handler
+client.on(Events.InteractionCreate, async (interaction) => {
+    if (interaction.isButton()) {
+        await handlePageButton(interaction);
+        return;
+    }
+    if (!interaction.isChatInputCommand()) return;
+
+    try {
+        // Every command works on a guild's data
+        if (!interaction.guild) {
+            await interaction.reply({ content: 'This command must be used in a guild.', ephemeral: true });
+            return;
+        }
+        if (!await canUseCommand(interaction, interaction.commandName, interaction.options.getSubcommand(false))) {
+            await interaction.reply({ content: 'You do not have permission to use this command.', ephemeral: true });
+            return;
+        }
+        if (!await commands.route(interaction)) {
+            await interaction.reply({ content: 'This command is no longer available.', ephemeral: true });
         }
+    } catch (error) {
+        REAL_CONSOLE.error(`Error handling /${interaction.commandName}:`, error);
     }
 });
 
 // Handle role updates on invitees
-client.on(Events.GuildMemberUpdate, async (oldMember, newMember) => {
-    // Check if roles changed
+async function handleGuildMemberUpdate(oldMember, newMember) {
+    // Check if roles or boost status changed (both can be used in reward rules)
     const oldRoles = oldMember.roles.cache.map(r => r.id).sort();
     const newRoles = newMember.roles.cache.map(r => r.id).sort();
+    const boostChanged = Boolean(oldMember.premiumSinceTimestamp) !== Boolean(newMember.premiumSinceTimestamp);
     
-    if (JSON.stringify(oldRoles) !== JSON.stringify(newRoles)) {
+    if (boostChanged || JSON.stringify(oldRoles) !== JSON.stringify(newRoles)) {
         const data = await loadInviteData();
         
-        // Find who invited this member
-        let inviterId = null;
-        for (const [inviter, invitees] of Object.entries(data.memberInvites)) {
-            if (invitees.includes(newMember.id)) {
-                inviterId = inviter;
-                break;
-            }
-        }
+        // Find who invited this member (only within this guild)
+        const inviterId = findInviterOf(data, newMember.guild.id, newMember.id);
         
         if (inviterId) {
-            const config = await loadConfig();
-            await updateInviterRoles(inviterId, newMember, newMember.guild, config, data, true);
+            const config = await loadGuildConfig(newMember.guild.id);
+            // Stamp newly gained roles so "held for N days" conditions can mature
+            scheduleInviteeMaturations(data, newMember.guild, inviterId, newMember, config);
+            await saveInviteData(data);
+            await updateInviterRoles(inviterId, newMember.guild, config, data, 'invitee-update');
         }
     }
-});
+}
+
+client.on(Events.GuildMemberUpdate, (oldMember, newMember) => runGuildTask(newMember.guild.id, () => handleGuildMemberUpdate(oldMember, newMember)));
 
 // Handle invite creation/updates/deletions to keep catalogue updated
-client.on(Events.InviteCreate, async (invite) => {
+async function handleInviteCreate(invite) {
     const guild = invite.guild;
     const data = await loadInviteData();
     
@@ -1071,12 +2739,20 @@ client.on(Events.InviteCreate, async (invite) => {
         data.inviteCatalogues = {};
     }
     data.inviteCatalogues[guild.id] = inviteCatalogue;
+    
+    // Give new invites a baseline so their first use is attributed by a plain use diff
+    if (!data.inviteCodes[guild.id]) data.inviteCodes[guild.id] = {};
+    if (!data.inviteCodes[guild.id][invite.code]) {
+        data.inviteCodes[guild.id][invite.code] = toInviteSnapshot(invite);
+    }
     await saveInviteData(data);
     
     console.log(`Invite created/updated: ${invite.code} by ${invite.inviter?.tag || 'Unknown'}`);
-});
+}
+
+client.on(Events.InviteCreate, (invite) => runGuildTask(invite.guild?.id, () => handleInviteCreate(invite)));
 
-client.on(Events.InviteDelete, async (invite) => {
+async function handleInviteDelete(invite) {
     const guild = invite.guild;
     const data = await loadInviteData();
     
@@ -1090,7 +2766,15 @@ client.on(Events.InviteDelete, async (invite) => {
     // IMPORTANT: memberInvites data persists independently of invite existence
     // Role rewards are maintained based on memberInvites, not invite codes
     // Do NOT clear memberInvites when invites are deleted
-    
+    // The inviteCodes entry is only marked deleted: a limited-use invite is deleted as its last
+    // use is consumed, and attribution needs the old entry to credit that join. Entries deleted
+    // longer ago than that could take were revoked and are dropped.
+    const snapshot = data.inviteCodes[guild.id];
+    if (snapshot) {
+        if (snapshot[invite.code]) snapshot[invite.code].deletedAt = Date.now();
+        data.inviteCodes[guild.id] = pruneDeletedInvites(snapshot);
+    }
+
     await saveInviteData(data);
     
     console.log(`Invite deleted: ${invite.code} - Role rewards will be maintained based on tracked invitees`);
@@ -1098,27 +2782,153 @@ client.on(Events.InviteDelete, async (invite) => {
     // Verify and maintain role rewards for the inviter if they had invitees via this invite
     if (invite.inviter?.id) {
         const inviterId = invite.inviter.id;
-        const inviteeIds = data.memberInvites[inviterId] || [];
+        const inviteeIds = getRewardInviteeIds(data, guild.id, inviterId);
         
         if (inviteeIds.length > 0) {
             // Re-verify role rewards are still correct after invite deletion
-            const config = await loadConfig();
-            await verifyAndMaintainRoleRewards(inviterId, guild, config, data);
+            const config = await loadGuildConfig(guild.id);
+            await updateInviterRoles(inviterId, guild, config, data, 'invite-deleted');
         }
     }
-});
+}
 
-// Load configuration
-async function loadConfig() {
+client.on(Events.InviteDelete, (invite) => runGuildTask(invite.guild?.id, () => handleInviteDelete(invite)));
+
+const CONFIG_PATH = path.join(__dirname, 'config.json');
+// config.json changes are applied once the file has been quiet this long (editors write in bursts)
+const CONFIG_RELOAD_DEBOUNCE_MS = 1000;
+
+// The validated config in use. Replaced only by a config that passes validation, so a bad edit
+// keeps the last good config running.
+let currentConfig = null;
+
+// Read and validate config.json. Returns { config, errors, warnings } (see lib/configSchema.js).
+function readConfigFile() {
+    let raw;
     try {
-        const configData = await fs.readFile(path.join(__dirname, 'config.json'), 'utf8');
-        return JSON.parse(configData);
+        raw = JSON.parse(fsSync.readFileSync(CONFIG_PATH, 'utf8'));
     } catch (error) {
-        console.error('Error loading config.json, using default config:', error);
-        return {
-            roleConfigs: [],
-            thresholdRewards: []
-        };
+        return { config: null, errors: [`cannot read config.json: ${error.message}`], warnings: [] };
+    }
+    return validateConfig(raw);
+}
+
+function reportConfigWarnings(warnings) {
+    for (const warning of warnings) {
+        console.warn(`config.json: ${warning}`);
+    }
+}
+
+// Current configuration. Read from disk once; later edits arrive through watchConfigFile().
+async function loadConfig() {
+    if (!currentConfig) {
+        const { config, errors, warnings } = readConfigFile();
+        if (errors.length > 0) {
+            // Nothing to fall back to yet; running with no rules would strip every reward role
+            for (const error of errors) console.error(`Invalid config.json: ${error}`);
+            console.error('Fix config.json and restart the bot.');
+            process.exit(1);
+        }
+        reportConfigWarnings(warnings);
+        currentConfig = config;
+    }
+    return currentConfig;
+}
+
+// Effective config for one guild: config.json with the guild's /invite-config overrides applied
+async function loadGuildConfig(guildId) {
+    const config = await loadConfig();
+    const data = await loadInviteData();
+    return resolveGuildConfig(config, getGuildOverrides(data, guildId));
+}
+
+// Re-read config.json after an edit. An invalid file is rejected and the previous config stays in
+// use; a valid one replaces it and every guild is reconciled against it.
+async function reloadConfig() {
+    const { config, errors, warnings } = readConfigFile();
+    if (errors.length > 0) {
+        console.error(`config.json change rejected, keeping the previous config:\n- ${errors.join('\n- ')}`);
+        return;
+    }
+    reportConfigWarnings(warnings);
+
+    const previous = currentConfig;
+    currentConfig = config;
+    console.log('config.json reloaded');
+    if (JSON.stringify(previous?.storage) !== JSON.stringify(config.storage)) {
+        console.warn('config.json: storage settings changed; restart the bot to switch backends');
+    }
+    if (JSON.stringify(previous?.logging) !== JSON.stringify(config.logging)) {
+        await initRemoteLoggerFromConfig(config);
+    }
+    await reconcileConfig(config);
+}
+
+// Bring every guild in line with a new config: re-sync slash commands (scope and access may have
+// changed), re-check reward roles, re-evaluate every inviter, requeue timed conditions and re-arm
+// the timers that depend on the config
+async function reconcileConfig(config) {
+    leaderboardCache.invalidate();
+    await syncGlobalCommands(config);
+    for (const guild of client.guilds.cache.values()) {
+        await syncGuildCommands(guild);
+        await runGuildTask(guild.id, () => reconcileGuildConfig(guild));
+    }
+    armMaturityTimer(await loadInviteData());
+    armSeasonTimer(config);
+}
+
+// Reconcile one guild with its effective config (callers run this inside the guild's queue).
+// /invite-config passes its own trigger and the admin for the audit log.
+async function reconcileGuildConfig(guild, { trigger = 'config', actorId = null } = {}) {
+    const data = await loadInviteData();
+    const guildConfig = await loadGuildConfig(guild.id);
+    reportRoleProblems(guild, guildConfig);
+    await applyRolesRetroactively(guild, guildConfig, data, { trigger, actorId });
+    syncGuildMaturations(data, guild, guildConfig);
+    await saveInviteData(data);
+}
+
+let configReloadTimer = null;
+
+// Poll config.json for changes (fs.watchFile also survives editors that replace the file)
+function watchConfigFile() {
+    fsSync.watchFile(CONFIG_PATH, { interval: 1000 }, (current, previous) => {
+        if (current.mtimeMs === previous.mtimeMs) return;
+        if (configReloadTimer) clearTimeout(configReloadTimer);
+        configReloadTimer = setTimeout(() => {
+            configReloadTimer = null;
+            reloadConfig().catch(error => console.error('Error reloading config.json:', error));
+        }, CONFIG_RELOAD_DEBOUNCE_MS);
+    });
+}
+
+// Problems with the roles the config refers to in one guild: roles that do not exist, and reward
+// roles the bot cannot assign (managed by an integration, or not below the bot's highest role)
+function getRoleProblems(guild, config) {
+    const problems = [];
+    const botHighest = guild.members.me?.roles.highest;
+    for (const ref of collectConfiguredRoles(config)) {
+        if (!ref.roleId && !ref.roleName) {
+            problems.push(`${ref.where}: no roleId or roleName set`);
+            continue;
+        }
+        const role = getRoleFromConfig(guild, ref.roleId, ref.roleName);
+        const label = ref.roleName || ref.roleId;
+        if (!role) {
+            problems.push(`${ref.where}: role ${label} not found`);
+        } else if (ref.reward && role.managed) {
+            problems.push(`${ref.where}: role ${role.name} is managed by an integration and cannot be assigned`);
+        } else if (ref.reward && botHighest && botHighest.comparePositionTo(role) <= 0) {
+            problems.push(`${ref.where}: role ${role.name} is not below the bot's highest role (${botHighest.name})`);
+        }
+    }
+    return problems;
+}
+
+function reportRoleProblems(guild, config) {
+    for (const problem of getRoleProblems(guild, config)) {
+        console.warn(`config.json in ${guild.name}: ${problem}`);
     }
 }
 
@@ -1139,5 +2949,22 @@ if (!token) {
     process.exit(1);
 }
 
+// Write any pending invite data before exiting
+async function shutdown(signal) {
+    REAL_CONSOLE.log(`Received ${signal}, saving invite data before exit...`);
+    try {
+        await guildQueue.idle();
+        await flushInviteData();
+    } catch (error) {
+        REAL_CONSOLE.error('Error saving invite data on shutdown:', error);
+    }
+    fsSync.unwatchFile(CONFIG_PATH);
+    client.destroy();
+    process.exit(0);
+}
+
+process.once('SIGINT', () => shutdown('SIGINT'));
+process.once('SIGTERM', () => shutdown('SIGTERM'));
+
 client.login(token);
 
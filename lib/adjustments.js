@@ -0,0 +1,46 @@
+// Manual bonus / penalty adjustments to an inviter's count, recorded by staff with /invites adjust.
+// Kept apart from real relationships in data.inviteAdjustments (guildId -> userId -> [entries])
+// so they never show up as invitees, but they are added to reward counts, stats and the leaderboard.
+
+function getGuildAdjustments(data, guildId) {
+    if (!data.inviteAdjustments) data.inviteAdjustments = {};
+    if (!data.inviteAdjustments[guildId]) data.inviteAdjustments[guildId] = {};
+    return data.inviteAdjustments[guildId];
+}
+
+// Record a signed adjustment. Returns the stored entry.
+function addAdjustment(data, guildId, userId, { amount, reason, by, at = new Date().toISOString() }) {
+    const guildAdjustments = getGuildAdjustments(data, guildId);
+    if (!guildAdjustments[userId]) guildAdjustments[userId] = [];
+    const entry = { amount, reason, by, at };
+    guildAdjustments[userId].push(entry);
+    return entry;
+}
+
+// All adjustments for a user, oldest first
+function getAdjustments(data, guildId, userId) {
+    return data.inviteAdjustments?.[guildId]?.[userId] || [];
+}
+
+// Sum of a user's adjustments, optionally only those made within a { from, to } range
+function getBonusTotal(data, guildId, userId, range = null) {
+    return getAdjustments(data, guildId, userId).reduce((sum, entry) => {
+        if (range) {
+            const at = Date.parse(entry.at);
+            if (Number.isNaN(at) || at < range.from || at >= range.to) return sum;
+        }
+        return sum + entry.amount;
+    }, 0);
+}
+
+// Users with at least one adjustment in a guild
+function getAdjustedUserIds(data, guildId) {
+    return Object.keys(data.inviteAdjustments?.[guildId] || {});
+}
+
+module.exports = {
+    addAdjustment,
+    getAdjustments,
+    getBonusTotal,
+    getAdjustedUserIds
+};
@@ -0,0 +1,141 @@
+// Audit trail of reward role changes and admin actions. The storage backend keeps the entries
+// (append-only) and /invite-audit queries them:
+//   { type: 'reward', guildId, userId, action: 'add' | 'remove', roleId, roleName, rule, trigger,
+//     event, actorId, counts: { invitees, bonus }, reason, timestamp }
+//   { type: 'admin', guildId, actorId, action: 'add-invite' | 'invites adjust' | ..., userId,
+//     details, timestamp }
+// `trigger` is what updateInviterRoles was called with ('join', 'flag cleared', ...) and `event`
+// is its category. Entries written as reward history before the audit log existed have no type,
+// trigger or counts; they are read as reward entries.
+
+const AUDIT_TYPES = {
+    REWARD: 'reward',
+    ADMIN: 'admin'
+};
+
+const AUDIT_EVENTS = {
+    JOIN: 'join',
+    LEAVE: 'leave',
+    ROLE_CHANGE: 'role-change',
+    ADMIN: 'admin',
+    STARTUP: 'startup',
+    SCHEDULED: 'scheduled',
+    CONFIG: 'config',
+    OTHER: 'other'
+};
+
+// updateInviterRoles triggers and the event each one stands for
+const TRIGGER_EVENTS = {
+    join: AUDIT_EVENTS.JOIN,
+    'offline-join': AUDIT_EVENTS.JOIN,
+    leave: AUDIT_EVENTS.LEAVE,
+    'invite-deleted': AUDIT_EVENTS.LEAVE,
+    'invitee-update': AUDIT_EVENTS.ROLE_CHANGE,
+    'add-invite': AUDIT_EVENTS.ADMIN,
+    'remove-invite': AUDIT_EVENTS.ADMIN,
+    adjustment: AUDIT_EVENTS.ADMIN,
+    'offline-review': AUDIT_EVENTS.ADMIN,
+    'season-close': AUDIT_EVENTS.ADMIN,
+    'invite-config': AUDIT_EVENTS.ADMIN,
+    startup: AUDIT_EVENTS.STARTUP,
+    retroactive: AUDIT_EVENTS.STARTUP,
+    maturity: AUDIT_EVENTS.SCHEDULED,
+    season: AUDIT_EVENTS.SCHEDULED,
+    config: AUDIT_EVENTS.CONFIG
+};
+
+function classifyTrigger(trigger) {
+    if (typeof trigger === 'string' && trigger.startsWith('flag ')) return AUDIT_EVENTS.ADMIN;
+    return TRIGGER_EVENTS[trigger] || AUDIT_EVENTS.OTHER;
+}
+
+function buildRewardEntry({ guildId, userId, role, action, rule, trigger, actorId = null, counts, reason, now = Date.now() }) {
+    return {
+        type: AUDIT_TYPES.REWARD,
+        guildId,
+        userId,
+        action,
+        roleId: role.id,
+        roleName: role.name,
+        rule,
+        trigger,
+        event: classifyTrigger(trigger),
+        actorId,
+        counts,
+        reason,
+        timestamp: new Date(now).toISOString()
+    };
+}
+
+function buildAdminEntry({ guildId, actorId, action, userId = null, details = null, now = Date.now() }) {
+    return {
+        type: AUDIT_TYPES.ADMIN,
+        guildId,
+        actorId,
+        action,
+        userId,
+        details,
+        timestamp: new Date(now).toISOString()
+    };
+}
+
+// Filter used by every backend: the guild, entries about or by `userId` (if given), one type
+// (if given) and timestamps within [from, to) (ISO strings; either may be null)
+function matchesAuditFilter(entry, { guildId, userId = null, type = null, from = null, to = null }) {
+    if (entry.guildId !== guildId) return false;
+    if (type && (entry.type || AUDIT_TYPES.REWARD) !== type) return false;
+    if (userId && entry.userId !== userId && entry.actorId !== userId) return false;
+    if (from && entry.timestamp < from) return false;
+    if (to && entry.timestamp >= to) return false;
+    return true;
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// Parse /invite-audit's from / to options (YYYY-MM-DD or a full ISO timestamp). A date-only `to`
+// includes that whole day. Returns { from, to, error } with ISO strings or null.
+function parseDateRange(fromText, toText) {
+    const parse = (text, endOfDay) => {
+        if (!text) return null;
+        const value = text.trim();
+        const ms = Date.parse(DATE_ONLY.test(value) ? `${value}T00:00:00Z` : value);
+        if (Number.isNaN(ms)) return undefined;
+        return new Date(endOfDay && DATE_ONLY.test(value) ? ms + DAY_MS : ms).toISOString();
+    };
+    const from = parse(fromText, false);
+    const to = parse(toText, true);
+    if (from === undefined || to === undefined) {
+        return { from: null, to: null, error: 'Dates must look like 2026-11-01 or 2026-11-01T18:00:00Z.' };
+    }
+    if (from && to && from >= to) return { from: null, to: null, error: '`from` must be before `to`.' };
+    return { from, to, error: null };
+}
+
+// One line per entry for /invite-audit
+function formatAuditEntry(entry) {
+    const when = `<t:${Math.floor(Date.parse(entry.timestamp) / 1000)}:f>`;
+    if (entry.type === AUDIT_TYPES.ADMIN) {
+        const target = entry.userId ? ` on <@${entry.userId}>` : '';
+        return `${when} 🛠️ <@${entry.actorId}> ran \`/${entry.action}\`${target}${entry.details ? `: ${entry.details}` : ''}`;
+    }
+    const verb = entry.action === 'add' ? '➕ gained' : '➖ lost';
+    const why = [
+        entry.rule,
+        entry.event ? `on ${entry.event}${entry.trigger && entry.trigger !== entry.event ? ` (${entry.trigger})` : ''}` : entry.reason,
+        entry.actorId ? `by <@${entry.actorId}>` : null,
+        entry.counts ? `${entry.counts.invitees} invitee${entry.counts.invitees === 1 ? '' : 's'}${entry.counts.bonus ? `, bonus ${entry.counts.bonus > 0 ? '+' : ''}${entry.counts.bonus}` : ''}` : null
+    ].filter(Boolean).join(' · ');
+    return `${when} <@${entry.userId}> ${verb} **${entry.roleName || entry.roleId}**${why ? ` — ${why}` : ''}`;
+}
+
+module.exports = {
+    AUDIT_TYPES,
+    AUDIT_EVENTS,
+    classifyTrigger,
+    buildRewardEntry,
+    buildAdminEntry,
+    matchesAuditFilter,
+    parseDateRange,
+    formatAuditEntry
+};
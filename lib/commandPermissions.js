@@ -0,0 +1,148 @@
+// Who may use each slash command. Access is set per command ("add-invite") or per subcommand
+// ("invites adjust") in the `commandPermissions` section of config.json, and per guild with
+// /invite-config permission-allow / permission-revoke (stored in data.guildConfigs). An entry
+// allows any member that matches one of:
+//   everyone     true opens it to every member
+//   roleIds      members holding one of these roles
+//   userIds      these users
+//   permissions  members with one of these permission flags (Discord names, e.g. "ManageGuild")
+// A subcommand's entry wins over its command's; with neither, the built-in defaults apply
+// (/leaderboard and /invites show are open, everything else needs Manage Guild). Administrators
+// can always use every command, so no entry can lock a guild out.
+const { PermissionsBitField } = require('discord.js');
+
+const DEFAULT_ACCESS = { permissions: ['ManageGuild'] };
+const DEFAULT_ENTRIES = {
+    leaderboard: { everyone: true },
+    'invites show': { everyone: true }
+};
+
+const ENTRY_FIELDS = ['everyone', 'roleIds', 'userIds', 'permissions'];
+
+function normalizeAccess(entry) {
+    return {
+        everyone: entry.everyone === true,
+        roleIds: [...(entry.roleIds || [])],
+        userIds: [...(entry.userIds || [])],
+        permissions: [...(entry.permissions || [])]
+    };
+}
+
+const isStringList = value => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+// Check a commandPermissions map (command key -> entry). Returns a list of errors.
+function validateAccessMap(map, where = 'commandPermissions') {
+    if (!map || typeof map !== 'object' || Array.isArray(map)) return [`${where}: must be an object`];
+    const errors = [];
+    for (const [key, entry] of Object.entries(map)) {
+        if (key === 'description') continue;
+        const at = `${where}["${key}"]`;
+        if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+            errors.push(`${at}: must be an object`);
+            continue;
+        }
+        for (const field of Object.keys(entry)) {
+            if (!ENTRY_FIELDS.includes(field)) errors.push(`${at}.${field}: unknown field (use ${ENTRY_FIELDS.join(', ')})`);
+        }
+        if (entry.everyone !== undefined && typeof entry.everyone !== 'boolean') errors.push(`${at}.everyone: must be true or false`);
+        for (const field of ['roleIds', 'userIds', 'permissions']) {
+            if (entry[field] !== undefined && !isStringList(entry[field])) errors.push(`${at}.${field}: must be a list of strings`);
+        }
+        if (isStringList(entry.permissions)) {
+            const unknown = entry.permissions.filter(name => !isPermissionFlag(name));
+            if (unknown.length > 0) errors.push(`${at}.permissions: unknown permission ${unknown.map(name => `"${name}"`).join(', ')}`);
+        }
+    }
+    return errors;
+}
+
+function isPermissionFlag(name) {
+    return Object.prototype.hasOwnProperty.call(PermissionsBitField.Flags, name);
+}
+
+// Effective access for a command, or one of its subcommands
+function resolveAccess(accessMap, commandName, subcommand = null) {
+    const keys = subcommand ? [`${commandName} ${subcommand}`, commandName] : [commandName];
+    for (const key of keys) {
+        const entry = accessMap?.[key] || DEFAULT_ENTRIES[key];
+        if (entry) return normalizeAccess(entry);
+    }
+    return normalizeAccess(DEFAULT_ACCESS);
+}
+
+// Whether a guild member may use something guarded by `access`. `member` is an interaction's
+// member: a GuildMember, or the raw API member (role ID list, permissions as a string).
+function memberHasAccess(member, userId, access) {
+    if (access.everyone) return true;
+    if (access.userIds.includes(userId)) return true;
+    if (!member?.permissions) return false;
+
+    const permissions = typeof member.permissions === 'string'
+        ? new PermissionsBitField(BigInt(member.permissions))
+        : member.permissions;
+    if (permissions.has(PermissionsBitField.Flags.Administrator)) return true;
+    if (access.permissions.some(name => permissions.has(PermissionsBitField.Flags[name]))) return true;
+
+    const roleIds = Array.isArray(member.roles) ? member.roles : [...(member.roles?.cache?.keys() || [])];
+    return access.roleIds.some(roleId => roleIds.includes(roleId));
+}
+
+// Short description of an access entry, for command replies
+function describeAccess(access) {
+    if (access.everyone) return 'everyone';
+    const parts = [
+        ...access.permissions,
+        ...access.roleIds.map(roleId => `<@&${roleId}>`),
+        ...access.userIds.map(userId => `<@${userId}>`)
+    ];
+    return parts.length > 0 ? `${parts.join(', ')} (and Administrators)` : 'Administrators only';
+}
+
+// Every command and subcommand access can be set for, e.g. ["invites", "invites show", ...]
+function listAccessTargets(definitions) {
+    const targets = [];
+    for (const definition of definitions) {
+        targets.push(definition.name);
+        for (const option of definition.options || []) {
+            if (option.type === 1) targets.push(`${definition.name} ${option.name}`);
+        }
+    }
+    return targets;
+}
+
+// The default_member_permissions Discord should use for a command. Discord can only hide a
+// command from members lacking one set of permissions, so a command is hidden only when every
+// part of it needs the same single permission flag (or only Administrators may use it). Anything
+// else keeps it visible and memberHasAccess decides when it is used.
+function getDefaultMemberPermissions(accessMap, definition) {
+    const subcommands = (definition.options || []).filter(option => option.type === 1);
+    const accesses = subcommands.length > 0
+        ? subcommands.map(option => resolveAccess(accessMap, definition.name, option.name))
+        : [resolveAccess(accessMap, definition.name)];
+
+    const flags = new Set();
+    for (const access of accesses) {
+        if (access.everyone || access.roleIds.length > 0 || access.userIds.length > 0 || access.permissions.length > 1) return null;
+        access.permissions.forEach(name => flags.add(name));
+    }
+    if (flags.size > 1) return null;
+    return flags.size === 1 ? PermissionsBitField.Flags[[...flags][0]].toString() : '0';
+}
+
+// Command definitions with default_member_permissions set from an access map
+function applyCommandPermissions(definitions, accessMap) {
+    return definitions.map(definition => ({
+        ...definition,
+        default_member_permissions: getDefaultMemberPermissions(accessMap, definition)
+    }));
+}
+
+module.exports = {
+    validateAccessMap,
+    isPermissionFlag,
+    resolveAccess,
+    memberHasAccess,
+    describeAccess,
+    listAccessTargets,
+    applyCommandPermissions
+};
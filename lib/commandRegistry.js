@@ -0,0 +1,62 @@
+// Slash commands are declared in one place, each definition next to its handler. The definitions
+// are the API payloads Discord receives; the registry's version is a hash of all of them, so any
+// change to a name, description or option gives a new version and the command set is re-synced
+// (see syncGuildCommands in index.js). Routing an interaction looks its handler up by name.
+const crypto = require('crypto');
+
+// JSON with object keys sorted, so the hash does not depend on key order
+function canonicalJson(value) {
+    if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+    if (value && typeof value === 'object') {
+        const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+        return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+// Where commands are registered, from the `commands` section of config.json: "guild" (default)
+// registers them in every guild, which takes effect immediately; "global" registers them once
+// for the whole application.
+function getCommandScope(config) {
+    return config?.commands?.scope === 'global' ? 'global' : 'guild';
+}
+
+// Version of a list of command definitions
+function hashDefinitions(definitions) {
+    return crypto.createHash('sha256').update(canonicalJson(definitions)).digest('hex').slice(0, 16);
+}
+
+function createCommandRegistry() {
+    const commands = new Map();
+
+    return {
+        // Declare a command: `definition` is its API payload, `run(interaction)` handles it
+        define(definition, run) {
+            if (commands.has(definition.name)) throw new Error(`Command /${definition.name} is defined twice`);
+            commands.set(definition.name, { definition, run });
+        },
+
+        definitions() {
+            return [...commands.values()].map(command => command.definition);
+        },
+
+        version() {
+            return hashDefinitions(this.definitions());
+        },
+
+        // Run the handler for a chat input interaction. Returns false for commands the registry
+        // does not know (e.g. a stale command Discord still shows).
+        async route(interaction) {
+            const command = commands.get(interaction.commandName);
+            if (!command) return false;
+            await command.run(interaction);
+            return true;
+        }
+    };
+}
+
+module.exports = {
+    createCommandRegistry,
+    getCommandScope,
+    hashDefinitions
+};
@@ -0,0 +1,235 @@
+// Condition evaluator for reward rules. Conditions form a tree: `all`, `any` and `not` combine
+// other conditions, and leaves test either a single invitee or the inviter's invitee list.
+//
+// Invitee conditions (evaluated against one invitee):
+//   isMember    - the invitee is a member of the guild
+//   hasRole     - the invitee has one specific role ({ roleId } and/or { roleName })
+//   hasAnyRole  - the invitee has at least one of several roles ({ roleIds: [] } and/or { roleNames: [] })
+//                 Both accept `minDays`: the role must have been held at least that long
+//   tenure      - days since the invitee joined the guild ({ minDays, maxDays })
+//   accountAge  - days since the invitee's Discord account was created ({ minDays, maxDays })
+//   boosting    - the invitee is boosting the guild
+//
+// Inviter conditions (evaluated against all of an inviter's reward-eligible invitees):
+//   inviteeCount - how many invitees match `where` ({ min, max, where, period }); `period` limits
+//                  the count to invitees credited in a time window or season (see lib/seasons.js).
+//                  Staff bonus/penalty adjustments are added unless `includeBonus` is false.
+//
+// Combinators (valid in either scope, children share the parent's scope):
+//   all { conditions: [] }, any { conditions: [] }, not { condition: {} }
+
+const { validatePeriod } = require('./seasons');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const SCOPES = {
+    INVITEE: 'invitee',
+    INVITER: 'inviter'
+};
+
+const COMBINATOR_TYPES = ['all', 'any', 'not'];
+const INVITEE_CONDITION_TYPES = ['isMember', 'hasRole', 'hasAnyRole', 'tenure', 'accountAge', 'boosting'];
+const INVITER_CONDITION_TYPES = ['inviteeCount'];
+const CONDITION_TYPES = [...COMBINATOR_TYPES, ...INVITEE_CONDITION_TYPES, ...INVITER_CONDITION_TYPES];
+
+// The invitee's roles that match any of the required IDs or names
+function getMatchingRoles(invitee, requiredRoleIds, requiredRoleNames) {
+    const toList = value => (Array.isArray(value) ? value : [value]).filter(Boolean);
+    const ids = toList(requiredRoleIds);
+    const names = toList(requiredRoleNames);
+    return Array.from(invitee.roles?.cache?.values() || [])
+        .filter(role => ids.includes(role.id) || names.includes(role.name));
+}
+
+// Check if invitee has any of the required roles
+function inviteeHasAnyRole(invitee, requiredRoleIds, requiredRoleNames) {
+    return getMatchingRoles(invitee, requiredRoleIds, requiredRoleNames).length > 0;
+}
+
+// Role conditions with `minDays` need to know since when the invitee has held the role;
+// `context.roleSince(memberId, roleId)` supplies that (unknown means not held long enough)
+function hasMatchingRole(invitee, roleIds, roleNames, condition, context, now) {
+    const roles = getMatchingRoles(invitee, roleIds, roleNames);
+    if (typeof condition.minDays !== 'number') return roles.length > 0;
+    return roles.some(role => {
+        const since = context.roleSince?.(invitee.id, role.id);
+        return Boolean(since) && now - since >= condition.minDays * DAY_MS;
+    });
+}
+
+// True if `timestamp` lies within the condition's minDays/maxDays window measured back from `now`
+function withinDays(timestamp, condition, now) {
+    if (!timestamp) return false;
+    const days = (now - timestamp) / DAY_MS;
+    if (typeof condition.minDays === 'number' && days < condition.minDays) return false;
+    if (typeof condition.maxDays === 'number' && days > condition.maxDays) return false;
+    return true;
+}
+
+// Evaluate a condition against one invitee. `context.isMember` tells whether the invitee is a
+// real guild member (command handlers may pass a stand-in object for users who are not in the guild).
+function evaluateInviteeCondition(invitee, condition, context = {}) {
+    const now = context.now ?? Date.now();
+    switch (condition.type) {
+        case 'all':
+            return condition.conditions.every(child => evaluateInviteeCondition(invitee, child, context));
+        case 'any':
+            return condition.conditions.some(child => evaluateInviteeCondition(invitee, child, context));
+        case 'not':
+            return !evaluateInviteeCondition(invitee, condition.condition, context);
+        case 'isMember':
+            return context.isMember === true;
+        case 'hasRole':
+            return hasMatchingRole(invitee, condition.roleId, condition.roleName, condition, context, now);
+        case 'hasAnyRole': {
+            const roleIds = condition.roleIds || (condition.roleId ? [condition.roleId] : []);
+            const roleNames = condition.roleNames || (condition.roleName ? [condition.roleName] : []);
+            return hasMatchingRole(invitee, roleIds, roleNames, condition, context, now);
+        }
+        case 'tenure':
+            return context.isMember === true && withinDays(invitee.joinedTimestamp, condition, now);
+        case 'accountAge':
+            return withinDays(invitee.user?.createdTimestamp, condition, now);
+        case 'boosting':
+            return context.isMember === true && Boolean(invitee.premiumSinceTimestamp);
+        default:
+            // Unknown types are rejected by validateCondition; never award on them
+            return false;
+    }
+}
+
+// Keep the invitees credited within `period`. `context.resolvePeriod(period)` returns a
+// { from, to } range (or null for none) and `context.joinedAt(memberId)` when they were credited.
+function filterByPeriod(invitees, period, context) {
+    if (!period) return invitees;
+    const range = context.resolvePeriod?.(period);
+    if (!range) return [];
+    return invitees.filter(invitee => {
+        const joinedAt = context.joinedAt?.(invitee.id) ?? invitee.joinedTimestamp;
+        return Boolean(joinedAt) && joinedAt >= range.from && joinedAt < range.to;
+    });
+}
+
+// Count the invitees that satisfy an invitee condition (all invitees when `where` is omitted)
+function countMatchingInvitees(invitees, where, context = {}, period = null) {
+    const inPeriod = filterByPeriod(invitees, period, context);
+    if (!where) return inPeriod.length;
+    return inPeriod.filter(invitee => evaluateInviteeCondition(invitee, where, { ...context, isMember: true })).length;
+}
+
+// The count an inviteeCount condition compares against min/max: matching invitees plus the
+// inviter's adjustments (`context.bonus(period)`), never below zero
+function countForCondition(invitees, condition, context = {}) {
+    const count = countMatchingInvitees(invitees, condition.where, context, condition.period);
+    const bonus = condition.includeBonus === false ? 0 : (context.bonus?.(condition.period) || 0);
+    return Math.max(count + bonus, 0);
+}
+
+// Evaluate a condition against an inviter. `invitees` are the inviter's reward-eligible invitees
+// that are still guild members.
+function evaluateInviterCondition(invitees, condition, context = {}) {
+    switch (condition.type) {
+        case 'all':
+            return condition.conditions.every(child => evaluateInviterCondition(invitees, child, context));
+        case 'any':
+            return condition.conditions.some(child => evaluateInviterCondition(invitees, child, context));
+        case 'not':
+            return !evaluateInviterCondition(invitees, condition.condition, context);
+        case 'inviteeCount': {
+            const count = countForCondition(invitees, condition, context);
+            if (typeof condition.min === 'number' && count < condition.min) return false;
+            if (typeof condition.max === 'number' && count > condition.max) return false;
+            return true;
+        }
+        default:
+            return false;
+    }
+}
+
+// Validate a condition tree for the given scope. Returns a list of error strings (empty if valid).
+function validateCondition(condition, scope = SCOPES.INVITER, where = 'condition') {
+    if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+        return [`${where}: must be an object`];
+    }
+
+    const { type } = condition;
+    if (!CONDITION_TYPES.includes(type)) {
+        return [`${where}: unknown condition type ${JSON.stringify(type)} (supported: ${CONDITION_TYPES.join(', ')})`];
+    }
+
+    const errors = [];
+    const checkDays = () => {
+        for (const key of ['minDays', 'maxDays']) {
+            if (condition[key] !== undefined && (typeof condition[key] !== 'number' || condition[key] < 0)) {
+                errors.push(`${where}.${key}: must be a non-negative number`);
+            }
+        }
+    };
+
+    switch (type) {
+        case 'all':
+        case 'any':
+            if (!Array.isArray(condition.conditions) || condition.conditions.length === 0) {
+                errors.push(`${where}.conditions: must be a non-empty array`);
+            } else {
+                condition.conditions.forEach((child, index) => {
+                    errors.push(...validateCondition(child, scope, `${where}.conditions[${index}]`));
+                });
+            }
+            break;
+        case 'not':
+            errors.push(...validateCondition(condition.condition, scope, `${where}.condition`));
+            break;
+        case 'inviteeCount':
+            if (scope !== SCOPES.INVITER) {
+                errors.push(`${where}: inviteeCount cannot be nested inside another inviteeCount`);
+                break;
+            }
+            for (const key of ['min', 'max']) {
+                if (condition[key] !== undefined && (!Number.isInteger(condition[key]) || condition[key] < 0)) {
+                    errors.push(`${where}.${key}: must be a non-negative integer`);
+                }
+            }
+            if (condition.min === undefined && condition.max === undefined) {
+                errors.push(`${where}: inviteeCount needs min and/or max`);
+            }
+            if (condition.where !== undefined) {
+                errors.push(...validateCondition(condition.where, SCOPES.INVITEE, `${where}.where`));
+            }
+            if (condition.period !== undefined) {
+                errors.push(...validatePeriod(condition.period, `${where}.period`));
+            }
+            if (condition.includeBonus !== undefined && typeof condition.includeBonus !== 'boolean') {
+                errors.push(`${where}.includeBonus: must be true or false`);
+            }
+            break;
+        case 'tenure':
+        case 'accountAge':
+            checkDays();
+            if (scope !== SCOPES.INVITEE) errors.push(`${where}: ${type} must be inside an inviteeCount's where`);
+            break;
+        case 'hasRole':
+        case 'hasAnyRole':
+            if (condition.minDays !== undefined && (typeof condition.minDays !== 'number' || condition.minDays < 0)) {
+                errors.push(`${where}.minDays: must be a non-negative number`);
+            }
+            if (scope !== SCOPES.INVITEE) errors.push(`${where}: ${type} must be inside an inviteeCount's where`);
+            break;
+        default:
+            if (scope !== SCOPES.INVITEE) errors.push(`${where}: ${type} must be inside an inviteeCount's where`);
+            break;
+    }
+
+    return errors;
+}
+
+module.exports = {
+    SCOPES,
+    CONDITION_TYPES,
+    inviteeHasAnyRole,
+    evaluateInviteeCondition,
+    countMatchingInvitees,
+    countForCondition,
+    evaluateInviterCondition,
+    validateCondition
+};
@@ -0,0 +1,164 @@
+// Validation for config.json. `validateConfig` checks every section against the shapes below and
+// runs the reward rule, ladder and season parsers; the config is only usable when it reports no
+// errors. Warnings (unknown keys) never block a load.
+//
+// Role references are checked separately, per guild, because whether a role exists and whether the
+// bot can assign it depends on the server: `collectConfiguredRoles` lists every role the config
+// mentions so the caller can look each one up.
+const { getRewardRules, getRewardLadders } = require('./rewardRules');
+const { getSeasons } = require('./seasons');
+const { validateAccessMap } = require('./commandPermissions');
+
+// Object sections and their fields: 'string', 'boolean', 'nonNegativeNumber' or a list of
+// allowed values. `description` is allowed everywhere.
+const SECTION_SCHEMAS = {
+    storage: { type: ['json', 'sqlite'], sqliteFile: 'string' },
+    inviteCredit: { creditInviter: ['latest', 'first'], ignoreRejoinsWithinDays: 'nonNegativeNumber' },
+    fakeInvites: {
+        enabled: 'boolean',
+        minAccountAgeDays: 'nonNegativeNumber',
+        flagDefaultAvatar: 'boolean',
+        flagLeftWithinHours: 'nonNegativeNumber'
+    },
+    referralMaturity: { minDaysInGuild: 'nonNegativeNumber' },
+    logging: { enabled: 'boolean', channelId: 'string' },
+    guildRetention: { onLeave: ['archive', 'purge'], keepArchivesDays: 'nonNegativeNumber' },
+    commands: { scope: ['guild', 'global'] }
+};
+
+// Array sections, validated by their own parsers
+const LIST_SECTIONS = ['rewardRules', 'rewardLadders', 'seasons', 'roleConfigs', 'thresholdRewards'];
+
+const isPlainObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+function checkField(value, spec, where) {
+    if (Array.isArray(spec)) {
+        return spec.includes(value) ? null : `${where}: must be one of ${spec.map(v => `"${v}"`).join(', ')}`;
+    }
+    switch (spec) {
+        case 'string':
+            return typeof value === 'string' ? null : `${where}: must be a string`;
+        case 'boolean':
+            return typeof value === 'boolean' ? null : `${where}: must be true or false`;
+        case 'nonNegativeNumber':
+            return typeof value === 'number' && value >= 0 ? null : `${where}: must be a non-negative number`;
+        default:
+            return null;
+    }
+}
+
+function validateSection(name, section, errors, warnings) {
+    if (!isPlainObject(section)) {
+        errors.push(`${name}: must be an object`);
+        return;
+    }
+    const schema = SECTION_SCHEMAS[name];
+    for (const [key, value] of Object.entries(section)) {
+        if (key === 'description') continue;
+        if (!(key in schema)) {
+            warnings.push(`${name}.${key}: unknown setting, ignored`);
+            continue;
+        }
+        const error = checkField(value, schema[key], `${name}.${key}`);
+        if (error) errors.push(error);
+    }
+}
+
+// roleId / roleName on a reward must be strings when set
+function validateRoleFields(entry, where, errors) {
+    for (const key of ['roleId', 'roleName']) {
+        if (entry[key] !== undefined && typeof entry[key] !== 'string') errors.push(`${where}.${key}: must be a string`);
+    }
+}
+
+// Validate parsed config.json contents. Returns { config, errors, warnings }. `config` has legacy
+// sections converted into rewardRules and seasons parsed; it is null when the file is not an object.
+function validateConfig(raw) {
+    const errors = [];
+    const warnings = [];
+    if (!isPlainObject(raw)) {
+        return { config: null, errors: ['config.json must contain a JSON object'], warnings };
+    }
+
+    for (const [key, value] of Object.entries(raw)) {
+        if (SECTION_SCHEMAS[key]) {
+            validateSection(key, value, errors, warnings);
+        } else if (key === 'commandPermissions') {
+            errors.push(...validateAccessMap(value));
+        } else if (!LIST_SECTIONS.includes(key) && key !== 'description') {
+            warnings.push(`${key}: unknown section, ignored`);
+        }
+    }
+
+    const { rules, errors: ruleErrors } = getRewardRules(raw);
+    const { ladders, errors: ladderErrors } = getRewardLadders(raw);
+    const { seasons, errors: seasonErrors } = getSeasons(raw);
+    errors.push(...ruleErrors, ...ladderErrors, ...seasonErrors);
+
+    rules.forEach(rule => validateRoleFields(rule, `rule ${rule.name}`, errors));
+    ladders.forEach(ladder => ladder.tiers.forEach(tier => validateRoleFields(tier, `ladder ${ladder.name} tier ${tier.name}`, errors)));
+
+    const config = { ...raw, rewardRules: rules, rewardLadders: ladders, seasons };
+    delete config.roleConfigs;
+    delete config.thresholdRewards;
+    return { config, errors, warnings };
+}
+
+// Every role a validated config refers to: [{ where, roleId, roleName, reward }]. `reward` is true
+// for roles the bot assigns (and so must be able to manage); condition roles are only read.
+// Empty IDs and names are placeholders and are left out.
+function collectConfiguredRoles(config) {
+    const references = [];
+    const seen = new Set();
+    const add = (where, roleId, roleName, reward) => {
+        const ref = { where, roleId: roleId || null, roleName: roleName || null, reward };
+        const key = ref.roleId || ref.roleName ? `${ref.roleId}|${ref.roleName}|${reward}` : where;
+        if (!reward && !ref.roleId && !ref.roleName) return;
+        if (seen.has(key)) return;
+        seen.add(key);
+        references.push(ref);
+    };
+    const toList = value => (Array.isArray(value) ? value : [value]).filter(Boolean);
+    const walk = (condition, where) => {
+        if (!condition || typeof condition !== 'object') return;
+        switch (condition.type) {
+            case 'all':
+            case 'any':
+                (condition.conditions || []).forEach(child => walk(child, where));
+                break;
+            case 'not':
+                walk(condition.condition, where);
+                break;
+            case 'inviteeCount':
+                walk(condition.where, where);
+                break;
+            case 'hasRole':
+                add(where, condition.roleId, condition.roleName, false);
+                break;
+            case 'hasAnyRole':
+                toList(condition.roleIds || condition.roleId).forEach(roleId => add(where, roleId, null, false));
+                toList(condition.roleNames || condition.roleName).forEach(roleName => add(where, null, roleName, false));
+                break;
+            default:
+                break;
+        }
+    };
+
+    for (const rule of config.rewardRules || []) {
+        add(`rule ${rule.name}`, rule.roleId, rule.roleName, true);
+        walk(rule.when, `rule ${rule.name}`);
+    }
+    for (const ladder of config.rewardLadders || []) {
+        for (const tier of ladder.tiers) {
+            const where = `ladder ${ladder.name} tier ${tier.name}`;
+            add(where, tier.roleId, tier.roleName, true);
+            walk(tier.when, where);
+        }
+    }
+    return references;
+}
+
+module.exports = {
+    validateConfig,
+    collectConfiguredRoles
+};
@@ -0,0 +1,63 @@
+// Decides whether a join should credit an inviter, based on the `inviteCredit` section of config.json:
+//   creditInviter            "latest" (default) credits whoever's invite was used;
+//                            "first" keeps crediting the first inviter the member ever had
+//   ignoreRejoinsWithinDays  no credit if the member left less than N days ago (0 disables)
+// Self-invites (inviter and invitee are the same user) are never credited.
+const { getJoinRecords } = require('./joinHistory');
+
+const CREDIT_POLICIES = ['latest', 'first'];
+
+const SUPPRESSION_REASONS = {
+    SELF_INVITE: 'self-invite',
+    REJOIN_COOLDOWN: 'rejoin-cooldown',
+    NOT_FIRST_INVITER: 'not-first-inviter'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function getCreditRules(config) {
+    const rules = config?.inviteCredit || {};
+    const policy = CREDIT_POLICIES.includes(rules.creditInviter) ? rules.creditInviter : 'latest';
+    const cooldownDays = Number(rules.ignoreRejoinsWithinDays) > 0 ? Number(rules.ignoreRejoinsWithinDays) : 0;
+    return { policy, cooldownDays };
+}
+
+// Returns { credit: true, inviterId, redirectedFrom? } or { credit: false, reason, detail }.
+// Callers should log a redirect as a suppressed credit for `redirectedFrom` (reason not-first-inviter).
+// `redirectedFrom` is set when the "first" policy moves the credit away from the invite's owner.
+function evaluateCredit(data, guildId, inviterId, inviteeId, config, now = Date.now()) {
+    if (inviterId === inviteeId) {
+        return { credit: false, reason: SUPPRESSION_REASONS.SELF_INVITE, detail: 'inviter and invitee are the same user' };
+    }
+
+    const { policy, cooldownDays } = getCreditRules(config);
+    const records = getJoinRecords(data, guildId, inviteeId).filter(record => !record.removedAt);
+
+    if (cooldownDays > 0) {
+        const lastLeft = records
+            .map(record => (record.leftAt ? new Date(record.leftAt).getTime() : null))
+            .filter(Boolean)
+            .sort((a, b) => b - a)[0];
+        if (lastLeft && now - lastLeft < cooldownDays * DAY_MS) {
+            const days = ((now - lastLeft) / DAY_MS).toFixed(1);
+            return { credit: false, reason: SUPPRESSION_REASONS.REJOIN_COOLDOWN, detail: `rejoined ${days} days after leaving (cooldown ${cooldownDays} days)` };
+        }
+    }
+
+    if (policy === 'first') {
+        const first = records.find(record => record.inviterId);
+        if (first && first.inviterId !== inviterId) {
+            // The invite's owner loses the credit (logged as not-first-inviter); the first inviter keeps it
+            return { credit: true, inviterId: first.inviterId, redirectedFrom: inviterId };
+        }
+    }
+
+    return { credit: true, inviterId };
+}
+
+module.exports = {
+    CREDIT_POLICIES,
+    SUPPRESSION_REASONS,
+    getCreditRules,
+    evaluateCredit
+};
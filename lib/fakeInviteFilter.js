@@ -0,0 +1,96 @@
+// "Fake invite" policy from the `fakeInvites` section of config.json. A join is flagged when any
+// enabled signal fires:
+//   minAccountAgeDays   - account younger than this (0 disables)
+//   flagDefaultAvatar   - account still has Discord's default avatar
+//   flagLeftWithinHours - member left within this many hours of joining (0 disables; checked on leave)
+// Flags are stored on the join history record. Flagged and confirmed invitees are kept but do not
+// count toward rewards; an admin can clear a flag to make the invitee count again.
+
+const FAKE_REASONS = {
+    ACCOUNT_AGE: 'account-age',
+    DEFAULT_AVATAR: 'default-avatar',
+    LEFT_QUICKLY: 'left-quickly'
+};
+
+const FLAG_STATUS = {
+    FLAGGED: 'flagged', // awaiting review
+    CONFIRMED: 'confirmed', // reviewed, treated as fake
+    CLEARED: 'cleared' // reviewed, treated as a real member
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+function getFakePolicy(config) {
+    const policy = config?.fakeInvites || {};
+    return {
+        enabled: policy.enabled === true,
+        minAccountAgeDays: Number(policy.minAccountAgeDays) > 0 ? Number(policy.minAccountAgeDays) : 0,
+        flagDefaultAvatar: policy.flagDefaultAvatar === true,
+        flagLeftWithinHours: Number(policy.flagLeftWithinHours) > 0 ? Number(policy.flagLeftWithinHours) : 0
+    };
+}
+
+// Signals available when the member joins. `user` is a discord.js User.
+function evaluateJoinSignals(user, config, now = Date.now()) {
+    const policy = getFakePolicy(config);
+    if (!policy.enabled || !user) return [];
+
+    const reasons = [];
+    if (policy.minAccountAgeDays > 0 && user.createdTimestamp) {
+        const ageDays = (now - user.createdTimestamp) / DAY_MS;
+        if (ageDays < policy.minAccountAgeDays) reasons.push(FAKE_REASONS.ACCOUNT_AGE);
+    }
+    if (policy.flagDefaultAvatar && !user.avatar) {
+        reasons.push(FAKE_REASONS.DEFAULT_AVATAR);
+    }
+    return reasons;
+}
+
+// Signals available when the member leaves, given their join history record
+function evaluateLeaveSignals(record, config, now = Date.now()) {
+    const policy = getFakePolicy(config);
+    if (!policy.enabled || !record?.joinedAt || policy.flagLeftWithinHours === 0) return [];
+
+    const stayedMs = now - new Date(record.joinedAt).getTime();
+    return stayedMs < policy.flagLeftWithinHours * HOUR_MS ? [FAKE_REASONS.LEFT_QUICKLY] : [];
+}
+
+// Add reasons to a record's flag. A flag an admin already reviewed is left alone.
+function flagRecord(record, reasons) {
+    if (!record || reasons.length === 0) return false;
+    if (record.fake && record.fake.status !== FLAG_STATUS.FLAGGED) return false;
+
+    const existing = record.fake?.reasons || [];
+    record.fake = {
+        status: FLAG_STATUS.FLAGGED,
+        reasons: [...new Set([...existing, ...reasons])],
+        flaggedAt: record.fake?.flaggedAt || new Date().toISOString()
+    };
+    return true;
+}
+
+// Record an admin decision on a flag (confirmed or cleared)
+function reviewRecordFlag(record, status, reviewerId) {
+    if (!record?.fake) return false;
+    record.fake.status = status;
+    record.fake.reviewedBy = reviewerId || null;
+    record.fake.reviewedAt = new Date().toISOString();
+    return true;
+}
+
+// Whether a record is excluded from rewards as fake
+function isFakeRecord(record) {
+    return !!record?.fake && record.fake.status !== FLAG_STATUS.CLEARED;
+}
+
+module.exports = {
+    FAKE_REASONS,
+    FLAG_STATUS,
+    getFakePolicy,
+    evaluateJoinSignals,
+    evaluateLeaveSignals,
+    flagRecord,
+    reviewRecordFlag,
+    isFakeRecord
+};
@@ -0,0 +1,125 @@
+// Per-guild configuration, managed with /invite-config and stored with the invite data in
+// data.guildConfigs (guildId -> { rewardRules?, logChannelId?, commandPermissions?, updatedAt, updatedBy }).
+//
+// config.json is the default template: a guild that has not customized anything uses its reward
+// rules as they are. The first rule edit in a guild copies the template's rules into the guild's
+// own list, which then replaces config.json's rules for that guild. Command access entries are
+// layered over config.json's `commandPermissions` one command at a time (see
+// lib/commandPermissions.js). Everything else (ladders, seasons, credit and fake-invite policy)
+// stays global.
+const { getRewardRules } = require('./rewardRules');
+
+function getGuildOverrides(data, guildId) {
+    return data.guildConfigs?.[guildId] || null;
+}
+
+function getOrCreateOverrides(data, guildId, by) {
+    if (!data.guildConfigs) data.guildConfigs = {};
+    if (!data.guildConfigs[guildId]) data.guildConfigs[guildId] = {};
+    const overrides = data.guildConfigs[guildId];
+    overrides.updatedAt = new Date().toISOString();
+    overrides.updatedBy = by;
+    return overrides;
+}
+
+// The effective config for a guild: the global config with the guild's overrides applied
+function resolveGuildConfig(config, overrides) {
+    if (!overrides) return config;
+    const resolved = { ...config };
+    if (Array.isArray(overrides.rewardRules)) resolved.rewardRules = overrides.rewardRules;
+    if (overrides.logChannelId) resolved.logChannelId = overrides.logChannelId;
+    if (overrides.commandPermissions) {
+        resolved.commandPermissions = { ...config.commandPermissions, ...overrides.commandPermissions };
+    }
+    return resolved;
+}
+
+function hasCustomRules(data, guildId) {
+    return Array.isArray(getGuildOverrides(data, guildId)?.rewardRules);
+}
+
+// Build a rule from /invite-config options. `when` is a JSON condition; without it, `min`
+// builds "at least min invitees" (optionally only invitees holding `inviteeRoleId`).
+// Returns { rule, errors }.
+function buildRule({ name, roleId, min, when, inviteeRoleId }) {
+    let condition;
+    if (when !== undefined && when !== null) {
+        try {
+            condition = typeof when === 'string' ? JSON.parse(when) : when;
+        } catch (error) {
+            return { rule: null, errors: [`when: not valid JSON (${error.message})`] };
+        }
+    } else if (Number.isInteger(min)) {
+        condition = { type: 'inviteeCount', min };
+        if (inviteeRoleId) condition.where = { type: 'hasRole', roleId: inviteeRoleId };
+    } else {
+        return { rule: null, errors: ['give either min or a when condition'] };
+    }
+    return validateRule({ name, roleId, when: condition });
+}
+
+// Validate one rule with the same checks config.json gets. Returns { rule, errors }.
+function validateRule(rule) {
+    const { rules, errors } = getRewardRules({ rewardRules: [rule] });
+    return { rule: rules[0] || null, errors: errors.map(error => error.replace(/^rewardRules\[0\]\./, '')) };
+}
+
+// The guild's own rule list, copied from the template on first use so it can be edited
+function customizeRules(data, guildId, templateRules, by) {
+    const overrides = getOrCreateOverrides(data, guildId, by);
+    if (!Array.isArray(overrides.rewardRules)) {
+        overrides.rewardRules = JSON.parse(JSON.stringify(templateRules));
+    }
+    return overrides.rewardRules;
+}
+
+function findRuleIndex(rules, name) {
+    const wanted = name.toLowerCase();
+    return rules.findIndex(rule => rule.name.toLowerCase() === wanted);
+}
+
+function setLogChannel(data, guildId, channelId, by) {
+    const overrides = getOrCreateOverrides(data, guildId, by);
+    if (channelId) {
+        overrides.logChannelId = channelId;
+    } else {
+        delete overrides.logChannelId;
+    }
+}
+
+// Set who may use a command or subcommand in this guild (`access` as in lib/commandPermissions.js)
+function setCommandAccess(data, guildId, target, access, by) {
+    const overrides = getOrCreateOverrides(data, guildId, by);
+    if (!overrides.commandPermissions) overrides.commandPermissions = {};
+    overrides.commandPermissions[target] = access;
+}
+
+// Go back to config.json's access for one target, or for every command when `target` is null.
+// Returns false if the guild had nothing to reset.
+function resetCommandAccess(data, guildId, target, by) {
+    const current = getGuildOverrides(data, guildId)?.commandPermissions;
+    if (!current || (target && !current[target])) return false;
+    const overrides = getOrCreateOverrides(data, guildId, by);
+    if (target) delete overrides.commandPermissions[target];
+    if (!target || Object.keys(overrides.commandPermissions).length === 0) delete overrides.commandPermissions;
+    return true;
+}
+
+// Drop every customization so the guild follows config.json again
+function resetGuildConfig(data, guildId) {
+    if (data.guildConfigs) delete data.guildConfigs[guildId];
+}
+
+module.exports = {
+    getGuildOverrides,
+    resolveGuildConfig,
+    hasCustomRules,
+    buildRule,
+    validateRule,
+    customizeRules,
+    findRuleIndex,
+    setLogChannel,
+    setCommandAccess,
+    resetCommandAccess,
+    resetGuildConfig
+};
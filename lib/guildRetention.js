@@ -0,0 +1,95 @@
+// What happens to a guild's data when the bot is removed from it, from the `guildRetention`
+// section of config.json:
+//   onLeave           "archive" (default) moves the guild's data into data.archivedGuilds, from
+//                     where it is restored if the bot is added back; "purge" deletes it
+//   keepArchivesDays  archived guilds older than this are purged (0 keeps archives forever)
+// Invite snapshots are always dropped; they are rebuilt when the bot joins again.
+const { GUILD_DATA_KEYS, GUILD_SNAPSHOT_KEYS } = require('../storage/schema');
+
+const RETENTION_MODES = ['archive', 'purge'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function getRetentionPolicy(config) {
+    const settings = config?.guildRetention || {};
+    const keepDays = Number(settings.keepArchivesDays);
+    return {
+        onLeave: RETENTION_MODES.includes(settings.onLeave) ? settings.onLeave : 'archive',
+        keepArchivesDays: Number.isFinite(keepDays) && keepDays > 0 ? keepDays : 0
+    };
+}
+
+// Remove every per-guild entry for a guild. Returns the removed entries keyed by data key.
+function takeGuildData(data, guildId) {
+    const taken = {};
+    for (const key of GUILD_DATA_KEYS) {
+        if (data[key] && data[key][guildId] !== undefined) {
+            taken[key] = data[key][guildId];
+            delete data[key][guildId];
+        }
+    }
+    for (const key of GUILD_SNAPSHOT_KEYS) {
+        if (data[key]) delete data[key][guildId];
+    }
+    return taken;
+}
+
+// Move a guild's data into data.archivedGuilds
+function archiveGuildData(data, guildId, { name = null, now = Date.now() } = {}) {
+    const archived = takeGuildData(data, guildId);
+    if (!data.archivedGuilds) data.archivedGuilds = {};
+    data.archivedGuilds[guildId] = { name, archivedAt: new Date(now).toISOString(), data: archived };
+    return data.archivedGuilds[guildId];
+}
+
+// Delete a guild's data, including any archive of it
+function purgeGuildData(data, guildId) {
+    takeGuildData(data, guildId);
+    if (data.archivedGuilds) delete data.archivedGuilds[guildId];
+}
+
+// Put an archived guild's data back. Returns the archive, or null if there was none.
+function restoreGuildData(data, guildId) {
+    const archive = data.archivedGuilds?.[guildId];
+    if (!archive) return null;
+    for (const [key, value] of Object.entries(archive.data || {})) {
+        if (!data[key]) data[key] = {};
+        data[key][guildId] = value;
+    }
+    delete data.archivedGuilds[guildId];
+    return archive;
+}
+
+// Guild IDs that have live (not archived) data
+function getStoredGuildIds(data) {
+    const ids = new Set();
+    for (const key of [...GUILD_DATA_KEYS, ...GUILD_SNAPSHOT_KEYS]) {
+        Object.keys(data[key] || {}).forEach(guildId => ids.add(guildId));
+    }
+    return [...ids];
+}
+
+// Purge archives older than the policy allows. Returns the purged guild IDs.
+function purgeExpiredArchives(data, config, now = Date.now()) {
+    const { keepArchivesDays } = getRetentionPolicy(config);
+    if (keepArchivesDays === 0) return [];
+    const purged = [];
+    for (const [guildId, archive] of Object.entries(data.archivedGuilds || {})) {
+        const archivedAt = Date.parse(archive.archivedAt);
+        if (!Number.isNaN(archivedAt) && now - archivedAt >= keepArchivesDays * DAY_MS) {
+            delete data.archivedGuilds[guildId];
+            purged.push(guildId);
+        }
+    }
+    return purged;
+}
+
+module.exports = {
+    RETENTION_MODES,
+    getRetentionPolicy,
+    archiveGuildData,
+    purgeGuildData,
+    restoreGuildData,
+    getStoredGuildIds,
+    purgeExpiredArchives
+};
@@ -0,0 +1,154 @@
+// Works out which invite a joining member used by diffing invite snapshots.
+//
+// Candidates come from:
+//   - codes whose use count went up (or new codes that already have uses)
+//   - codes that vanished while one use short of maxUses (single/limited-use invites are
+//     deleted by Discord the moment their last use is consumed). InviteDelete stamps the
+//     snapshot entry with `deletedAt`; an invite deleted well before the join was revoked, not
+//     consumed, and is ignored
+//   - uses seen by an earlier join that could not all be claimed by it ("leftovers"),
+//     e.g. one code going up by 2 because two members joined back to back
+//   - the guild's vanity URL, passed in as a pseudo-invite with `source: 'vanity'` and no inviter
+//
+// Confidence:
+//   certain   - every candidate belongs to the same inviter (or every candidate is the vanity URL)
+//   ambiguous - candidates belong to different inviters; the join is held back, not guessed
+//   unknown   - no candidate at all (vanity URL, discovery, expired invite, bot offline...)
+
+const CONFIDENCE = {
+    CERTAIN: 'certain',
+    AMBIGUOUS: 'ambiguous',
+    UNKNOWN: 'unknown'
+};
+
+// Where a join came from. Only `invite` joins have an inviter.
+const JOIN_SOURCES = {
+    INVITE: 'invite',
+    VANITY: 'vanity',
+    DISCOVERY: 'discovery',
+    UNKNOWN: 'unknown'
+};
+
+// Leftover uses older than this are assumed to belong to joins we never saw
+const LEFTOVER_TTL_MS = 2 * 60 * 1000;
+
+// How long before a join an invite's InviteDelete may arrive and still be its last use being
+// consumed. The delete and the join events race each other, so allow for queueing and fetches.
+const CONSUMED_DELETE_WINDOW_MS = 30 * 1000;
+
+function isStaleDeletion(invite, now) {
+    return Boolean(invite.deletedAt) && now - invite.deletedAt > CONSUMED_DELETE_WINDOW_MS;
+}
+
+// A snapshot without invites deleted longer ago than the consumed-delete window
+function pruneDeletedInvites(invites, now = Date.now()) {
+    return Object.fromEntries(Object.entries(invites || {}).filter(([, invite]) => !isStaleDeletion(invite, now)));
+}
+
+// Uses gained per code between two snapshots, including consumed-and-deleted invites
+function diffInviteSnapshots(oldInvites, newInvites, now = Date.now()) {
+    const candidates = {};
+
+    for (const [code, invite] of Object.entries(newInvites || {})) {
+        const before = oldInvites?.[code]?.uses || 0;
+        const delta = (invite.uses || 0) - before;
+        if (delta > 0) {
+            candidates[code] = { code, inviterId: invite.inviterId || null, source: invite.source || JOIN_SOURCES.INVITE, uses: delta, reason: 'uses-increased' };
+        }
+    }
+
+    for (const [code, invite] of Object.entries(oldInvites || {})) {
+        if (newInvites?.[code]) continue;
+        if (!invite.maxUses || (invite.uses || 0) !== invite.maxUses - 1) continue;
+        // An invite that simply expired also vanishes; it can't have been used
+        if (invite.expiresAt && invite.expiresAt <= now) continue;
+        // Nor can one that was revoked a while before this join
+        if (isStaleDeletion(invite, now)) continue;
+        candidates[code] = { code, inviterId: invite.inviterId || null, source: invite.source || JOIN_SOURCES.INVITE, uses: 1, reason: 'consumed-and-deleted' };
+    }
+
+    return candidates;
+}
+
+function totalUses(candidates) {
+    return Object.values(candidates).reduce((sum, c) => sum + c.uses, 0);
+}
+
+// Decide who invited a joining member.
+// Returns { confidence, source, inviterId, code, candidates, leftovers } where `leftovers` is the
+// updated list of unclaimed use groups to store for the next join in this guild.
+function attributeJoin({ oldInvites, newInvites, leftovers = [], now = Date.now() }) {
+    const activeLeftovers = leftovers.filter(group => group.remaining > 0 && now - group.createdAt <= LEFTOVER_TTL_MS);
+
+    // Fresh evidence from this join's snapshot diff always wins over leftovers
+    let pool = diffInviteSnapshots(oldInvites, newInvites, now);
+    let fromLeftover = null;
+    if (Object.keys(pool).length === 0 && activeLeftovers.length > 0) {
+        fromLeftover = activeLeftovers[0];
+        pool = fromLeftover.candidates;
+    }
+
+    const candidateList = Object.values(pool).map(c => ({
+        code: c.code,
+        inviterId: c.inviterId,
+        source: c.source || JOIN_SOURCES.INVITE,
+        uses: c.uses,
+        reason: c.reason
+    }));
+
+    if (candidateList.length === 0) {
+        return { confidence: CONFIDENCE.UNKNOWN, source: JOIN_SOURCES.UNKNOWN, inviterId: null, code: null, candidates: [], leftovers: activeLeftovers };
+    }
+
+    // Vanity uses have no inviter but are still a definite source
+    const owners = [...new Set(candidateList.map(c => (c.source === JOIN_SOURCES.VANITY ? JOIN_SOURCES.VANITY : c.inviterId)))];
+    const certain = owners.length === 1 && owners[0] !== null;
+    const isVanity = certain && owners[0] === JOIN_SOURCES.VANITY;
+
+    // Claim one use: from the single candidate code, or (same inviter, several codes) the one with most uses
+    let claimedCode = null;
+    if (certain) {
+        claimedCode = candidateList.length === 1
+            ? candidateList[0].code
+            : [...candidateList].sort((a, b) => b.uses - a.uses)[0].code;
+    }
+
+    // Whatever this join did not account for is kept for the joins that follow
+    const remaining = (fromLeftover ? fromLeftover.remaining : totalUses(pool)) - 1;
+    const nextLeftovers = activeLeftovers.filter(group => group !== fromLeftover);
+    if (remaining > 0) {
+        const remainingCandidates = {};
+        for (const c of candidateList) {
+            const uses = c.code === claimedCode ? c.uses - 1 : c.uses;
+            if (uses > 0) remainingCandidates[c.code] = { ...pool[c.code], uses };
+        }
+        nextLeftovers.push({
+            candidates: remainingCandidates,
+            remaining,
+            createdAt: fromLeftover ? fromLeftover.createdAt : now
+        });
+    }
+
+    if (!certain) {
+        return { confidence: CONFIDENCE.AMBIGUOUS, source: JOIN_SOURCES.INVITE, inviterId: null, code: null, candidates: candidateList, leftovers: nextLeftovers };
+    }
+
+    return {
+        confidence: CONFIDENCE.CERTAIN,
+        source: isVanity ? JOIN_SOURCES.VANITY : JOIN_SOURCES.INVITE,
+        inviterId: isVanity ? null : owners[0],
+        code: claimedCode,
+        candidates: candidateList,
+        leftovers: nextLeftovers
+    };
+}
+
+module.exports = {
+    CONFIDENCE,
+    JOIN_SOURCES,
+    LEFTOVER_TTL_MS,
+    CONSUMED_DELETE_WINDOW_MS,
+    diffInviteSnapshots,
+    pruneDeletedInvites,
+    attributeJoin
+};
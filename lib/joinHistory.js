@@ -0,0 +1,179 @@
+// Join history: one record per inviter -> invitee relationship, kept per guild and per invitee
+// (data.joinHistory[guildId][inviteeId] = [records, oldest first]). A member who joins again
+// gets a new record, so earlier ones keep their join and leave times.
+const { isFakeRecord } = require('./fakeInviteFilter');
+
+// How a relationship came to exist
+const RELATIONSHIP_SOURCES = {
+    TRACKED: 'tracked', // attributed automatically from invite uses
+    MANUAL: 'manual', // added by an admin with /add-invite
+    IMPORTED: 'imported' // existed before join history was recorded
+};
+
+function getGuildJoinHistory(data, guildId) {
+    if (!data.joinHistory) data.joinHistory = {};
+    if (!data.joinHistory[guildId]) data.joinHistory[guildId] = {};
+    return data.joinHistory[guildId];
+}
+
+// All records for an invitee in a guild, oldest first
+function getJoinRecords(data, guildId, inviteeId) {
+    return data.joinHistory?.[guildId]?.[inviteeId] || [];
+}
+
+// The record for the invitee's current stay (not left and not removed), if any
+function getOpenJoinRecord(data, guildId, inviteeId) {
+    const records = getJoinRecords(data, guildId, inviteeId);
+    for (let i = records.length - 1; i >= 0; i--) {
+        if (!records[i].leftAt && !records[i].removedAt) return records[i];
+    }
+    return null;
+}
+
+// Add a record for a new relationship. Fields not given default to null.
+function addJoinRecord(data, guildId, fields) {
+    const history = getGuildJoinHistory(data, guildId);
+    const record = {
+        guildId,
+        inviterId: fields.inviterId || null,
+        inviteeId: fields.inviteeId,
+        code: fields.code || null,
+        channelId: fields.channelId || null,
+        joinedAt: fields.joinedAt || new Date().toISOString(),
+        leftAt: null,
+        source: fields.source || RELATIONSHIP_SOURCES.TRACKED,
+        confidence: fields.confidence || null,
+        createdBy: fields.createdBy || null,
+        createdAt: new Date().toISOString()
+    };
+    if (!history[fields.inviteeId]) history[fields.inviteeId] = [];
+    history[fields.inviteeId].push(record);
+    return record;
+}
+
+// Mark the invitee's open record as left
+function closeJoinRecord(data, guildId, inviteeId, leftAt = new Date().toISOString()) {
+    const record = getOpenJoinRecord(data, guildId, inviteeId);
+    if (record) record.leftAt = leftAt;
+    return record;
+}
+
+// Bring a guild's join history in line with its relationships and members (run at startup):
+// relationships in `memberInvites` (inviterId -> [inviteeIds]) without a record get an `imported`
+// one, then open records of invitees not in `memberIds` are marked as left. Imports come first
+// so a relationship whose invitee left while the bot was offline is not left open. Pass
+// `memberIds: null` when the member list could not be fetched, to skip the departure pass.
+// Returns { imported, departed }.
+function syncJoinHistoryRecords(data, guildId, { memberInvites, memberIds = null, joinedAtOf = () => null }) {
+    let imported = 0;
+    for (const [inviterId, inviteeIds] of Object.entries(memberInvites || {})) {
+        for (const inviteeId of inviteeIds) {
+            if (getJoinRecords(data, guildId, inviteeId).some(record => record.inviterId === inviterId)) continue;
+            addJoinRecord(data, guildId, { inviterId, inviteeId, joinedAt: joinedAtOf(inviteeId), source: RELATIONSHIP_SOURCES.IMPORTED });
+            imported++;
+        }
+    }
+
+    let departed = 0;
+    if (memberIds) {
+        for (const inviteeId of Object.keys(data.joinHistory?.[guildId] || {})) {
+            if (memberIds.has(inviteeId) || !getOpenJoinRecord(data, guildId, inviteeId)) continue;
+            // Importing can leave several open records for one invitee (one per inviter)
+            while (closeJoinRecord(data, guildId, inviteeId));
+            departed++;
+        }
+    }
+    return { imported, departed };
+}
+
+// Mark the open record for a specific inviter -> invitee pair as removed by an admin
+function removeJoinRecord(data, guildId, inviterId, inviteeId, removedBy) {
+    const record = getOpenJoinRecord(data, guildId, inviteeId);
+    if (!record || record.inviterId !== inviterId) return null;
+    record.removedAt = new Date().toISOString();
+    record.removedBy = removedBy || null;
+    return record;
+}
+
+// Every record in a guild credited to an inviter, oldest first
+function getInviterJoinRecords(data, guildId, inviterId) {
+    const records = [];
+    for (const inviteeRecords of Object.values(data.joinHistory?.[guildId] || {})) {
+        for (const record of inviteeRecords) {
+            if (record.inviterId === inviterId) records.push(record);
+        }
+    }
+    return records.sort((a, b) => String(a.joinedAt).localeCompare(String(b.joinedAt)));
+}
+
+// Whether the invitee is currently active for this inviter. Invitees without any history
+// (data written before join history existed) are treated as active.
+function isActiveRelationship(data, guildId, inviterId, inviteeId) {
+    const records = getJoinRecords(data, guildId, inviteeId);
+    if (records.length === 0) return true;
+    const open = getOpenJoinRecord(data, guildId, inviteeId);
+    return !!open && open.inviterId === inviterId;
+}
+
+// Add one invitee's records to an inviter's counts (see getInviterStats)
+function countInvitee(stats, records, open, inviterId) {
+    const kept = records.filter(record => !record.removedAt);
+    const credited = kept.filter(record => record.inviterId === inviterId);
+    if (credited.length === 0) return;
+
+    stats.total++;
+    if (isFakeRecord(credited[credited.length - 1])) {
+        stats.fake++;
+    } else if (open && open.inviterId === inviterId) {
+        stats.active++;
+    } else {
+        stats.left++;
+    }
+    if (kept.length > 1) stats.rejoined++;
+}
+
+function emptyStats() {
+    return { total: 0, active: 0, left: 0, fake: 0, rejoined: 0 };
+}
+
+// Per-inviter counts. Every invitee is counted once, so total = active + left + fake:
+//   total    - invitees ever credited to the inviter (admin-removed relationships excluded)
+//   active   - still in the guild on this inviter's credit
+//   left     - credited to this inviter but no longer active for them
+//   fake     - latest credit flagged or confirmed as fake (see fakeInviteFilter.js)
+//   rejoined - invitees credited to this inviter who have joined the guild more than once
+function getInviterStats(data, guildId, inviterId) {
+    const stats = emptyStats();
+    for (const [inviteeId, records] of Object.entries(data.joinHistory?.[guildId] || {})) {
+        countInvitee(stats, records, getOpenJoinRecord(data, guildId, inviteeId), inviterId);
+    }
+    return stats;
+}
+
+// getInviterStats for every inviter in a guild in a single pass: inviterId -> stats
+function getGuildInviterStats(data, guildId) {
+    const all = {};
+    for (const [inviteeId, records] of Object.entries(data.joinHistory?.[guildId] || {})) {
+        const open = getOpenJoinRecord(data, guildId, inviteeId);
+        const inviterIds = new Set(records.filter(record => !record.removedAt).map(record => record.inviterId).filter(Boolean));
+        for (const inviterId of inviterIds) {
+            countInvitee(all[inviterId] || (all[inviterId] = emptyStats()), records, open, inviterId);
+        }
+    }
+    return all;
+}
+
+module.exports = {
+    RELATIONSHIP_SOURCES,
+    getGuildJoinHistory,
+    getJoinRecords,
+    getOpenJoinRecord,
+    addJoinRecord,
+    closeJoinRecord,
+    syncJoinHistoryRecords,
+    removeJoinRecord,
+    getInviterJoinRecords,
+    isActiveRelationship,
+    getInviterStats,
+    getGuildInviterStats
+};
@@ -0,0 +1,26 @@
+// Runs async tasks one at a time per key (e.g. per guild). Tasks for different keys run
+// independently; tasks for the same key run in the order they were queued.
+function createKeyedQueue() {
+    const tails = new Map();
+
+    function run(key, task) {
+        const previous = tails.get(key) || Promise.resolve();
+        // A failed task must not block the ones queued after it
+        const result = previous.catch(() => {}).then(() => task());
+        const tail = result.catch(() => {});
+        tails.set(key, tail);
+        tail.then(() => {
+            if (tails.get(key) === tail) tails.delete(key);
+        });
+        return result;
+    }
+
+    // Resolves once every task queued so far (for all keys) has settled
+    function idle() {
+        return Promise.all([...tails.values()]).then(() => {});
+    }
+
+    return { run, idle, size: () => tails.size };
+}
+
+module.exports = { createKeyedQueue };
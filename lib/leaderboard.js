@@ -0,0 +1,62 @@
+// Invite leaderboard: ranks inviters by invitee count and caches the result per guild and period.
+// The cache is invalidated whenever a guild's relationships change (see invalidate()); periods
+// that depend on the clock (rolling windows, seasons) also expire after a short time.
+
+const LEADERBOARD_PERIODS = {
+    ALL_TIME: 'all',
+    LAST_30_DAYS: '30d',
+    SEASON: 'season'
+};
+
+// How long rankings for clock-dependent periods stay valid without a relationship change
+const TIMED_PERIOD_TTL_MS = 10 * 60 * 1000;
+
+// Turn { inviterId: count } into ranked entries, highest first. Ties share a rank (1, 2, 2, 4).
+function rankCounts(counts) {
+    const entries = Object.entries(counts)
+        .filter(([, count]) => count > 0)
+        .map(([inviterId, count]) => ({ inviterId, count }))
+        .sort((a, b) => b.count - a.count || a.inviterId.localeCompare(b.inviterId));
+    entries.forEach((entry, index) => {
+        entry.rank = index > 0 && entries[index - 1].count === entry.count ? entries[index - 1].rank : index + 1;
+    });
+    return entries;
+}
+
+// Cache of ranked entries keyed by guild and period
+function createLeaderboardCache() {
+    const entries = new Map();
+    const keyOf = (guildId, period) => `${guildId}:${period}`;
+
+    // Cached ranking, or compute() it (synchronously) and cache the result
+    function get(guildId, period, compute, now = Date.now()) {
+        const key = keyOf(guildId, period);
+        const cached = entries.get(key);
+        if (cached && (cached.expiresAt === null || cached.expiresAt > now)) return cached.ranking;
+        const ranking = compute();
+        entries.set(key, {
+            ranking,
+            expiresAt: period === LEADERBOARD_PERIODS.ALL_TIME ? null : now + TIMED_PERIOD_TTL_MS
+        });
+        return ranking;
+    }
+
+    // Drop every cached ranking for a guild (or all guilds)
+    function invalidate(guildId = null) {
+        if (guildId === null) {
+            entries.clear();
+            return;
+        }
+        for (const key of entries.keys()) {
+            if (key.startsWith(`${guildId}:`)) entries.delete(key);
+        }
+    }
+
+    return { get, invalidate };
+}
+
+module.exports = {
+    LEADERBOARD_PERIODS,
+    rankCounts,
+    createLeaderboardCache
+};
@@ -0,0 +1,192 @@
+// Referral maturity and time-based re-evaluation.
+//
+// With `referralMaturity.minDaysInGuild` set, an invitee only counts toward rewards once they have
+// stayed that long; until then the referral is pending. Conditions that depend on elapsed time
+// (`tenure`, `accountAge`, `hasRole` / `hasAnyRole` with `minDays`, and `lastDays` periods) change
+// without any Discord event, so the inviter has to be re-evaluated when they flip. Those moments
+// are persisted in data.pendingMaturations (guildId -> [{ inviterId, inviteeId, dueAt }]) so they
+// survive restarts.
+//
+// Role-held durations need to know when an invitee gained a role; that is tracked in
+// data.inviteeRoleSince (guildId -> memberId -> roleId -> timestamp). Roles the bot never saw being
+// added count from when the bot first observed them.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Read the maturity policy from config.json, falling back to "counts immediately"
+function getMaturityPolicy(config) {
+    const settings = config?.referralMaturity || {};
+    const minDays = Number(settings.minDaysInGuild);
+    return { minDaysInGuild: Number.isFinite(minDays) && minDays > 0 ? minDays : 0 };
+}
+
+// True once the invitee of this join record has stayed long enough to count
+function isReferralMature(record, config, now = Date.now()) {
+    const { minDaysInGuild } = getMaturityPolicy(config);
+    if (minDaysInGuild === 0) return true;
+    const joinedAt = record?.joinedAt ? Date.parse(record.joinedAt) : NaN;
+    // Imported records without a join date predate the rule; don't hold them back
+    if (Number.isNaN(joinedAt)) return true;
+    return now - joinedAt >= minDaysInGuild * DAY_MS;
+}
+
+// When a pending referral matures (null if it already counts)
+function getReferralMaturesAt(record, config, now = Date.now()) {
+    if (isReferralMature(record, config, now)) return null;
+    return Date.parse(record.joinedAt) + getMaturityPolicy(config).minDaysInGuild * DAY_MS;
+}
+
+// Collect every day count used by timed conditions, grouped by what they are measured from
+function collectTimedDays(config) {
+    const days = { sinceJoin: new Set(), sinceCreated: new Set(), sinceRole: new Set() };
+    const addDays = (set, condition) => {
+        for (const key of ['minDays', 'maxDays']) {
+            if (typeof condition[key] === 'number') set.add(condition[key]);
+        }
+    };
+    const walk = condition => {
+        if (!condition || typeof condition !== 'object') return;
+        switch (condition.type) {
+            case 'all':
+            case 'any':
+                (condition.conditions || []).forEach(walk);
+                break;
+            case 'not':
+                walk(condition.condition);
+                break;
+            case 'inviteeCount':
+                // Invitees drop out of a rolling window lastDays after they were credited
+                if (typeof condition.period?.lastDays === 'number') days.sinceJoin.add(condition.period.lastDays);
+                walk(condition.where);
+                break;
+            case 'tenure':
+                addDays(days.sinceJoin, condition);
+                break;
+            case 'accountAge':
+                addDays(days.sinceCreated, condition);
+                break;
+            case 'hasRole':
+            case 'hasAnyRole':
+                addDays(days.sinceRole, condition);
+                break;
+            default:
+                break;
+        }
+    };
+
+    (config?.rewardRules || []).forEach(rule => walk(rule.when));
+    (config?.rewardLadders || []).forEach(ladder => ladder.tiers.forEach(tier => walk(tier.when)));
+
+    const { minDaysInGuild } = getMaturityPolicy(config);
+    if (minDaysInGuild > 0) days.sinceJoin.add(minDaysInGuild);
+
+    return {
+        sinceJoin: [...days.sinceJoin],
+        sinceCreated: [...days.sinceCreated],
+        sinceRole: [...days.sinceRole]
+    };
+}
+
+// Future moments at which an invitee's timed conditions can change. `joinedAt`, `createdAt` and
+// each entry of `roleSince` are timestamps in ms (missing ones are skipped).
+function getMaturityTimes(config, { joinedAt, createdAt, roleSince = [] }, now = Date.now()) {
+    const days = collectTimedDays(config);
+    const times = new Set();
+    const add = (from, dayList) => {
+        if (!from) return;
+        for (const count of dayList) {
+            const at = from + count * DAY_MS;
+            if (at > now) times.add(at);
+        }
+    };
+    add(joinedAt, days.sinceJoin);
+    add(createdAt, days.sinceCreated);
+    for (const since of roleSince) add(since, days.sinceRole);
+    return [...times].sort((a, b) => a - b);
+}
+
+function getGuildMaturations(data, guildId) {
+    if (!data.pendingMaturations) data.pendingMaturations = {};
+    if (!data.pendingMaturations[guildId]) data.pendingMaturations[guildId] = [];
+    return data.pendingMaturations[guildId];
+}
+
+// Persist a re-evaluation of `inviterId` at `dueAt`. Returns false if one is already queued.
+function scheduleMaturation(data, guildId, inviterId, inviteeId, dueAt) {
+    const list = getGuildMaturations(data, guildId);
+    if (list.some(entry => entry.inviterId === inviterId && entry.inviteeId === inviteeId && entry.dueAt === dueAt)) {
+        return false;
+    }
+    list.push({ inviterId, inviteeId, dueAt });
+    return true;
+}
+
+// Remove and return a guild's entries that are due
+function takeDueMaturations(data, guildId, now = Date.now()) {
+    const list = data.pendingMaturations?.[guildId];
+    if (!list || list.length === 0) return [];
+    const due = list.filter(entry => entry.dueAt <= now);
+    if (due.length === 0) return [];
+    const remaining = list.filter(entry => entry.dueAt > now);
+    if (remaining.length > 0) {
+        data.pendingMaturations[guildId] = remaining;
+    } else {
+        delete data.pendingMaturations[guildId];
+    }
+    return due;
+}
+
+// Earliest due time across all guilds (null if nothing is pending)
+function getNextMaturationAt(data) {
+    let next = null;
+    for (const list of Object.values(data.pendingMaturations || {})) {
+        for (const entry of list) {
+            if (next === null || entry.dueAt < next) next = entry.dueAt;
+        }
+    }
+    return next;
+}
+
+// Record when a member gained each of their current roles. Roles not seen before are stamped with
+// `now`; roles the member no longer has are forgotten. Returns the role IDs newly stamped.
+function syncRoleSince(data, guildId, memberId, roleIds, now = Date.now()) {
+    if (!data.inviteeRoleSince) data.inviteeRoleSince = {};
+    if (!data.inviteeRoleSince[guildId]) data.inviteeRoleSince[guildId] = {};
+    const previous = data.inviteeRoleSince[guildId][memberId] || {};
+    const next = {};
+    const added = [];
+    for (const roleId of roleIds) {
+        if (previous[roleId]) {
+            next[roleId] = previous[roleId];
+        } else {
+            next[roleId] = now;
+            added.push(roleId);
+        }
+    }
+    data.inviteeRoleSince[guildId][memberId] = next;
+    return added;
+}
+
+// Forget role timestamps for a member (e.g. when they leave)
+function clearRoleSince(data, guildId, memberId) {
+    if (data.inviteeRoleSince?.[guildId]) delete data.inviteeRoleSince[guildId][memberId];
+}
+
+// Timestamp from which a member has held a role (null if unknown)
+function getRoleSince(data, guildId, memberId, roleId) {
+    return data.inviteeRoleSince?.[guildId]?.[memberId]?.[roleId] || null;
+}
+
+module.exports = {
+    getMaturityPolicy,
+    isReferralMature,
+    getReferralMaturesAt,
+    collectTimedDays,
+    getMaturityTimes,
+    scheduleMaturation,
+    takeDueMaturations,
+    getNextMaturationAt,
+    syncRoleSince,
+    clearRoleSince,
+    getRoleSince
+};
@@ -0,0 +1,81 @@
+// Joins that happened while the bot was offline. At startup the stored invite snapshot is diffed
+// against the live invites (see diffInviteSnapshots) and matched against the members who joined
+// after the snapshot was last refreshed (data.inviteCodesSeenAt).
+//
+//   - every gained use belongs to one inviter (or the vanity URL) and covers all the joiners:
+//     the joiners are attributed automatically
+//   - no invite gained uses: the joiners came in some untracked way and are recorded as unknown
+//   - anything else: the joiners are queued in data.offlineJoinReviews (guildId -> [entries])
+//     for an admin to resolve with /offline-joins
+const { CONFIDENCE, JOIN_SOURCES, diffInviteSnapshots } = require('./inviteAttribution');
+
+// Split offline joiners ([{ memberId, joinedAt }], oldest first) into attributed, unknown and
+// review lists. Snapshots may include the vanity URL as a pseudo-invite, as in findInviter.
+function matchOfflineJoins({ oldInvites, newInvites, joiners, now = Date.now() }) {
+    const result = { attributed: [], unknown: [], review: [] };
+    if (joiners.length === 0) return result;
+
+    const candidates = Object.values(diffInviteSnapshots(oldInvites, newInvites, now))
+        .map(c => ({ code: c.code, inviterId: c.inviterId, source: c.source || JOIN_SOURCES.INVITE, uses: c.uses }));
+    if (candidates.length === 0) {
+        result.unknown = joiners.map(joiner => ({ ...joiner, confidence: CONFIDENCE.UNKNOWN, source: JOIN_SOURCES.UNKNOWN }));
+        return result;
+    }
+
+    const owners = [...new Set(candidates.map(c => (c.source === JOIN_SOURCES.VANITY ? JOIN_SOURCES.VANITY : c.inviterId)))];
+    const totalUses = candidates.reduce((sum, c) => sum + c.uses, 0);
+    // More joiners than uses means some came in another way, so no joiner is certain
+    if (owners.length !== 1 || owners[0] === null || totalUses < joiners.length) {
+        result.review = joiners.map(joiner => ({ ...joiner, candidates }));
+        return result;
+    }
+
+    // Hand out the uses code by code, busiest code first
+    const pool = [...candidates].sort((a, b) => b.uses - a.uses).map(c => ({ ...c }));
+    for (const joiner of joiners) {
+        const claimed = pool.find(c => c.uses > 0);
+        claimed.uses--;
+        result.attributed.push({
+            ...joiner,
+            confidence: CONFIDENCE.CERTAIN,
+            source: claimed.source,
+            inviterId: claimed.source === JOIN_SOURCES.VANITY ? null : claimed.inviterId,
+            code: claimed.code,
+            candidates
+        });
+    }
+    return result;
+}
+
+function getOfflineReviews(data, guildId) {
+    return data.offlineJoinReviews?.[guildId] || [];
+}
+
+// Queue a joiner for review (replacing an older entry for the same member)
+function addOfflineReview(data, guildId, entry) {
+    if (!data.offlineJoinReviews) data.offlineJoinReviews = {};
+    const list = getOfflineReviews(data, guildId).filter(existing => existing.memberId !== entry.memberId);
+    list.push(entry);
+    data.offlineJoinReviews[guildId] = list;
+}
+
+// Remove and return a member's review entry (null if none)
+function takeOfflineReview(data, guildId, memberId) {
+    const list = getOfflineReviews(data, guildId);
+    const entry = list.find(existing => existing.memberId === memberId) || null;
+    if (!entry) return null;
+    const remaining = list.filter(existing => existing !== entry);
+    if (remaining.length > 0) {
+        data.offlineJoinReviews[guildId] = remaining;
+    } else {
+        delete data.offlineJoinReviews[guildId];
+    }
+    return entry;
+}
+
+module.exports = {
+    matchOfflineJoins,
+    getOfflineReviews,
+    addOfflineReview,
+    takeOfflineReview
+};
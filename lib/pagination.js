@@ -0,0 +1,74 @@
+// Paginated embeds with previous/next buttons. Buttons carry their state in the custom ID
+// (`<prefix>:<page>`), so a click can rebuild the page without keeping anything in memory.
+const { ActionRowBuilder, ButtonBuilder, ButtonStyle, EmbedBuilder } = require('discord.js');
+
+const DEFAULT_PER_PAGE = 15;
+// Embed descriptions are capped at 4096 characters; stay below with room for the last line
+const MAX_DESCRIPTION_CHARS = 3900;
+
+// Split lines into pages of at most `perPage` lines and `maxChars` characters
+function paginateLines(lines, { perPage = DEFAULT_PER_PAGE, maxChars = MAX_DESCRIPTION_CHARS } = {}) {
+    const pages = [];
+    let current = [];
+    let length = 0;
+    for (const line of lines) {
+        const text = line.length > maxChars ? line.slice(0, maxChars - 1) + '…' : line;
+        if (current.length > 0 && (current.length >= perPage || length + text.length + 1 > maxChars)) {
+            pages.push(current);
+            current = [];
+            length = 0;
+        }
+        current.push(text);
+        length += text.length + 1;
+    }
+    if (current.length > 0 || pages.length === 0) pages.push(current);
+    return pages;
+}
+
+// Clamp a requested page number into range
+function clampPage(page, pageCount) {
+    return Math.min(Math.max(Number(page) || 0, 0), Math.max(pageCount - 1, 0));
+}
+
+// Build the reply payload for one page: { embeds, components }
+function buildPagedMessage({ title, header = '', lines, emptyText = 'Nothing to show.', page = 0, customIdPrefix, color = 0x5865f2 }) {
+    const pages = paginateLines(lines);
+    const current = clampPage(page, pages.length);
+    const body = pages[current].length > 0 ? pages[current].join('\n') : emptyText;
+    const embed = new EmbedBuilder()
+        .setTitle(title)
+        .setColor(color)
+        .setDescription(header ? `${header}\n\n${body}` : body)
+        .setFooter({ text: `Page ${current + 1}/${pages.length}` });
+
+    const components = [];
+    if (pages.length > 1) {
+        components.push(new ActionRowBuilder().addComponents(
+            new ButtonBuilder()
+                .setCustomId(`${customIdPrefix}:${current - 1}`)
+                .setLabel('Previous')
+                .setStyle(ButtonStyle.Secondary)
+                .setDisabled(current === 0),
+            new ButtonBuilder()
+                .setCustomId(`${customIdPrefix}:${current + 1}`)
+                .setLabel('Next')
+                .setStyle(ButtonStyle.Secondary)
+                .setDisabled(current === pages.length - 1)
+        ));
+    }
+
+    return { embeds: [embed], components };
+}
+
+// Split a button custom ID built by buildPagedMessage into its prefix parts and page number
+function parsePageCustomId(customId) {
+    const parts = customId.split(':');
+    const page = Number(parts.pop());
+    return { parts, page: Number.isInteger(page) ? page : 0 };
+}
+
+module.exports = {
+    paginateLines,
+    buildPagedMessage,
+    parsePageCustomId
+};
@@ -0,0 +1,64 @@
+// Dry-run reports for reward changes. A preview runs the normal role evaluation with `dryRun` set
+// (see updateInviterRoles in index.js) and turns the per-inviter results into a summary and a
+// plain-text diff:
+//
+//   alice#0001 (123) — 4 invitees
+//     + Recruiter (rule Recruiter)
+//     - Bronze (ladder Invite ranks tier Silver)
+
+// Sections of a candidate config that replace the current ones in a preview, and the keys in the
+// uploaded file that provide them (legacy sections are converted into rewardRules)
+const PREVIEW_SECTIONS = {
+    rewardRules: ['rewardRules', 'roleConfigs', 'thresholdRewards'],
+    rewardLadders: ['rewardLadders'],
+    seasons: ['seasons'],
+    referralMaturity: ['referralMaturity']
+};
+
+// The config a preview runs against: `base` with every section the uploaded file (`raw`, already
+// validated into `candidate`) provides. Sections the file leaves out keep their current value.
+function mergeCandidateConfig(base, raw, candidate) {
+    const merged = { ...base };
+    for (const [section, sourceKeys] of Object.entries(PREVIEW_SECTIONS)) {
+        if (sourceKeys.some(key => raw[key] !== undefined)) merged[section] = candidate[section];
+    }
+    return merged;
+}
+
+// Totals over the results of a preview: { inviters, adds, removes }
+function summarizePreview(results) {
+    let adds = 0;
+    let removes = 0;
+    for (const result of results) {
+        for (const change of result.changes) {
+            if (change.action === 'add') adds++;
+            else removes++;
+        }
+    }
+    return { inviters: results.length, adds, removes };
+}
+
+// Plain-text report for one guild
+function formatPreviewReport({ guildName, source, results, generatedAt = new Date() }) {
+    const { inviters, adds, removes } = summarizePreview(results);
+    const lines = [
+        `Reward preview for ${guildName} (${source})`,
+        `Generated ${generatedAt.toISOString()}`,
+        `${inviters} inviter(s) would change: ${adds} role(s) added, ${removes} removed`,
+        ''
+    ];
+    for (const result of results) {
+        lines.push(`${result.inviterTag} (${result.inviterId}) — ${result.inviteeCount} invitee${result.inviteeCount === 1 ? '' : 's'}`);
+        for (const change of result.changes) {
+            lines.push(`  ${change.action === 'add' ? '+' : '-'} ${change.role.name} (${change.source})`);
+        }
+    }
+    if (results.length === 0) lines.push('No role changes.');
+    return lines.join('\n') + '\n';
+}
+
+module.exports = {
+    mergeCandidateConfig,
+    summarizePreview,
+    formatPreviewReport
+};
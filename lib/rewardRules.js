@@ -0,0 +1,202 @@
+// Reward rules: one schema for every role an inviter can earn. Each rule names a reward role and
+// a `when` condition evaluated against the inviter's invitees (see lib/conditions.js).
+//
+//   { "name": "Recruiter", "roleId": "...", "roleName": "...",
+//     "when": { "type": "inviteeCount", "min": 3, "where": { "type": "hasAnyRole", "roleIds": ["..."] } } }
+//
+// Legacy `roleConfigs` and `thresholdRewards` entries are converted into rules on load, so
+// existing config.json files keep working unchanged.
+//
+// Reward ladders order several roles into tiers, lowest first. A tier is reached when its `when`
+// condition holds (or, as a shorthand, when `min` invitees match the ladder's `where`). In
+// "highest" mode the inviter holds only the highest tier reached; in "stack" mode they hold
+// every tier up to and including it.
+
+const { SCOPES, validateCondition, evaluateInviterCondition, countForCondition } = require('./conditions');
+
+const DEFAULT_THRESHOLD = 3;
+
+const LADDER_MODES = {
+    HIGHEST: 'highest',
+    STACK: 'stack'
+};
+
+// roleConfigs entry: "at least one invitee meets every condition"
+function convertRoleConfig(roleConfig, index) {
+    return {
+        name: roleConfig.name || `roleConfigs[${index}]`,
+        roleId: roleConfig.roleId,
+        roleName: roleConfig.roleName,
+        when: {
+            type: 'inviteeCount',
+            min: 1,
+            where: { type: 'all', conditions: roleConfig.conditions },
+            // "has an invitee with these roles" can only be met by a real invitee
+            includeBonus: false
+        }
+    };
+}
+
+// thresholdRewards entry: "at least `threshold` invitees have any of the required roles"
+function convertThresholdReward(thresholdConfig, index) {
+    const toList = (many, one) => many || (one ? [one] : []);
+    return {
+        name: thresholdConfig.name || `thresholdRewards[${index}]`,
+        roleId: thresholdConfig.rewardRoleId,
+        roleName: thresholdConfig.rewardRoleName,
+        when: {
+            type: 'inviteeCount',
+            min: thresholdConfig.threshold || DEFAULT_THRESHOLD,
+            where: {
+                type: 'hasAnyRole',
+                roleIds: toList(thresholdConfig.requiredRoleIds, thresholdConfig.requiredRoleId),
+                roleNames: toList(thresholdConfig.requiredRoleNames, thresholdConfig.requiredRoleName)
+            }
+        }
+    };
+}
+
+// Collect `rewardRules` plus converted legacy entries. Returns { rules, errors }: invalid entries
+// are left out of `rules` and described in `errors`.
+function getRewardRules(config) {
+    const candidates = [];
+    const errors = [];
+
+    const collect = (key, convert) => {
+        const entries = config?.[key];
+        if (entries === undefined) return;
+        if (!Array.isArray(entries)) {
+            errors.push(`${key} must be an array`);
+            return;
+        }
+        entries.forEach((entry, index) => {
+            if (!entry || typeof entry !== 'object') {
+                errors.push(`${key}[${index}]: must be an object`);
+                return;
+            }
+            if (key === 'roleConfigs' && (!Array.isArray(entry.conditions) || entry.conditions.length === 0)) {
+                errors.push(`${key}[${index}]: conditions must be a non-empty array`);
+                return;
+            }
+            candidates.push({ source: `${key}[${index}]`, rule: convert(entry, index) });
+        });
+    };
+
+    collect('rewardRules', (rule, index) => ({ ...rule, name: rule.name || `rewardRules[${index}]` }));
+    collect('roleConfigs', convertRoleConfig);
+    collect('thresholdRewards', convertThresholdReward);
+
+    const rules = [];
+    for (const { source, rule } of candidates) {
+        const ruleErrors = validateCondition(rule.when, SCOPES.INVITER, `${source}.when`);
+        if (ruleErrors.length > 0) {
+            errors.push(...ruleErrors);
+            continue;
+        }
+        rules.push(rule);
+    }
+
+    return { rules, errors };
+}
+
+// True if an inviter with these invitees (guild members, reward-eligible) earns the rule's role.
+// `context` carries `now` and the `roleSince` lookup used by timed role conditions.
+function ruleMatches(rule, invitees, context = {}) {
+    return evaluateInviterCondition(invitees, rule.when, context);
+}
+
+// How close an inviter is to a condition: { met, count, target }. `count` and `target` are only
+// set for a plain inviteeCount with a minimum; compound conditions just report `met`.
+function getConditionProgress(when, invitees, context = {}) {
+    const met = evaluateInviterCondition(invitees, when, context);
+    if (when.type !== 'inviteeCount' || typeof when.min !== 'number') return { met };
+    return { met, count: countForCondition(invitees, when, context), target: when.min };
+}
+
+// Expand `min` shorthands into full conditions and validate every tier. Returns { ladders, errors }.
+function getRewardLadders(config) {
+    const ladders = [];
+    const errors = [];
+    const entries = config?.rewardLadders;
+    if (entries === undefined) return { ladders, errors };
+    if (!Array.isArray(entries)) {
+        errors.push('rewardLadders must be an array');
+        return { ladders, errors };
+    }
+
+    entries.forEach((entry, index) => {
+        const source = `rewardLadders[${index}]`;
+        const ladderErrors = [];
+        if (!entry || typeof entry !== 'object') {
+            errors.push(`${source}: must be an object`);
+            return;
+        }
+
+        const mode = entry.mode || LADDER_MODES.HIGHEST;
+        if (!Object.values(LADDER_MODES).includes(mode)) {
+            ladderErrors.push(`${source}.mode: must be one of ${Object.values(LADDER_MODES).join(', ')}`);
+        }
+        if (entry.where !== undefined) {
+            ladderErrors.push(...validateCondition(entry.where, SCOPES.INVITEE, `${source}.where`));
+        }
+        if (!Array.isArray(entry.tiers) || entry.tiers.length === 0) {
+            ladderErrors.push(`${source}.tiers: must be a non-empty array`);
+        }
+
+        const tiers = (Array.isArray(entry.tiers) ? entry.tiers : []).map((tier, tierIndex) => {
+            const tierSource = `${source}.tiers[${tierIndex}]`;
+            if (!tier || typeof tier !== 'object') {
+                ladderErrors.push(`${tierSource}: must be an object`);
+                return null;
+            }
+            const when = tier.when !== undefined
+                ? tier.when
+                : { type: 'inviteeCount', min: tier.min, ...(entry.where ? { where: entry.where } : {}) };
+            if (tier.when === undefined && (!Number.isInteger(tier.min) || tier.min < 0)) {
+                ladderErrors.push(`${tierSource}: needs a non-negative integer min or a when condition`);
+                return null;
+            }
+            ladderErrors.push(...validateCondition(when, SCOPES.INVITER, `${tierSource}.when`));
+            return {
+                name: tier.name || tier.roleName || tier.roleId || `tier ${tierIndex + 1}`,
+                roleId: tier.roleId,
+                roleName: tier.roleName,
+                when
+            };
+        });
+
+        if (ladderErrors.length > 0) {
+            errors.push(...ladderErrors);
+            return;
+        }
+        ladders.push({ name: entry.name || source, mode, tiers });
+    });
+
+    return { ladders, errors };
+}
+
+// Index of the highest tier reached (-1 if none). Tiers are checked from the top down so a higher
+// tier wins even if a lower one's condition does not hold.
+function getReachedTierIndex(ladder, invitees, context = {}) {
+    for (let index = ladder.tiers.length - 1; index >= 0; index--) {
+        if (evaluateInviterCondition(invitees, ladder.tiers[index].when, context)) return index;
+    }
+    return -1;
+}
+
+// The tiers whose roles the inviter should hold, given the highest tier reached
+function getHeldTiers(ladder, reachedIndex) {
+    if (reachedIndex < 0) return [];
+    if (ladder.mode === LADDER_MODES.STACK) return ladder.tiers.slice(0, reachedIndex + 1);
+    return [ladder.tiers[reachedIndex]];
+}
+
+module.exports = {
+    LADDER_MODES,
+    getRewardRules,
+    getRewardLadders,
+    ruleMatches,
+    getConditionProgress,
+    getReachedTierIndex,
+    getHeldTiers
+};
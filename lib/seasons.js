@@ -0,0 +1,164 @@
+// Seasons and time windows for invite counts.
+//
+// config.seasons lists competition periods: [{ id, name, start, end }] with ISO dates (end is
+// exclusive). An `inviteeCount` condition can be scoped with `period`:
+//   { "lastDays": 30 }       - invitees credited in the last 30 days (rolling window)
+//   { "season": "current" }  - invitees credited during the season running now
+//   { "season": "<id>" }     - invitees credited during a specific season
+//
+// A season can be closed early with `/season close`. Closing archives the standings in
+// data.seasonArchives (guildId -> seasonId -> archive) and ends the season for that guild, so
+// rewards that count "current" season invitees expire.
+const { getGuildJoinHistory } = require('./joinHistory');
+const { isFakeRecord } = require('./fakeInviteFilter');
+const { getAdjustedUserIds, getBonusTotal } = require('./adjustments');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CURRENT_SEASON = 'current';
+
+// Parse and validate config.seasons. Returns { seasons, errors }; invalid entries are left out.
+function getSeasons(config) {
+    const seasons = [];
+    const errors = [];
+    const entries = config?.seasons;
+    if (entries === undefined) return { seasons, errors };
+    if (!Array.isArray(entries)) {
+        errors.push('seasons must be an array');
+        return { seasons, errors };
+    }
+
+    entries.forEach((entry, index) => {
+        const source = `seasons[${index}]`;
+        if (!entry || typeof entry !== 'object') {
+            errors.push(`${source}: must be an object`);
+            return;
+        }
+        const start = Date.parse(entry.start);
+        const end = Date.parse(entry.end);
+        if (!entry.id || typeof entry.id !== 'string' || entry.id === CURRENT_SEASON) {
+            errors.push(`${source}.id: must be a non-empty string other than "${CURRENT_SEASON}"`);
+        } else if (seasons.some(season => season.id === entry.id)) {
+            errors.push(`${source}.id: duplicate season id "${entry.id}"`);
+        } else if (Number.isNaN(start) || Number.isNaN(end)) {
+            errors.push(`${source}: start and end must be dates (e.g. "2026-10-01T00:00:00Z")`);
+        } else if (end <= start) {
+            errors.push(`${source}: end must be after start`);
+        } else {
+            seasons.push({ id: entry.id, name: entry.name || entry.id, start, end });
+        }
+    });
+
+    return { seasons, errors };
+}
+
+function getSeasonArchive(data, guildId, seasonId) {
+    return data.seasonArchives?.[guildId]?.[seasonId] || null;
+}
+
+// When a season ends for a guild: its configured end, or earlier if it was closed early
+function getSeasonEnd(season, data, guildId) {
+    const archive = getSeasonArchive(data, guildId, season.id);
+    return archive ? Math.min(season.end, archive.closedAt) : season.end;
+}
+
+// The season running at `now` in a guild (null between seasons)
+function getCurrentSeason(seasons, data, guildId, now = Date.now()) {
+    return seasons.find(season => season.start <= now && now < getSeasonEnd(season, data, guildId)) || null;
+}
+
+// Find a season by id, or the current one for "current"
+function findSeason(seasons, data, guildId, seasonId, now = Date.now()) {
+    if (!seasonId || seasonId === CURRENT_SEASON) return getCurrentSeason(seasons, data, guildId, now);
+    return seasons.find(season => season.id === seasonId) || null;
+}
+
+// Turn a `period` into a { from, to } time range (to is exclusive). Returns null when the period
+// matches nothing right now, e.g. "current" between seasons.
+function resolvePeriod(period, { seasons, data, guildId, now = Date.now() }) {
+    if (typeof period.lastDays === 'number') {
+        return { from: now - period.lastDays * DAY_MS, to: now + 1 };
+    }
+    const season = findSeason(seasons, data, guildId, period.season, now);
+    if (!season) return null;
+    return { from: season.start, to: getSeasonEnd(season, data, guildId) };
+}
+
+// Validate a `period` object. Returns a list of error strings.
+function validatePeriod(period, where) {
+    if (!period || typeof period !== 'object') return [`${where}: must be an object`];
+    const hasDays = period.lastDays !== undefined;
+    const hasSeason = period.season !== undefined;
+    if (hasDays === hasSeason) return [`${where}: needs exactly one of lastDays or season`];
+    if (hasDays && (typeof period.lastDays !== 'number' || period.lastDays <= 0)) {
+        return [`${where}.lastDays: must be a positive number`];
+    }
+    if (hasSeason && (typeof period.season !== 'string' || period.season === '')) {
+        return [`${where}.season: must be "${CURRENT_SEASON}" or a season id`];
+    }
+    return [];
+}
+
+// Next season start or end after `now` (null if none), used to re-evaluate rewards on time
+function getNextSeasonBoundary(seasons, now = Date.now()) {
+    let next = null;
+    for (const season of seasons) {
+        for (const at of [season.start, season.end]) {
+            if (at > now && (next === null || at < next)) next = at;
+        }
+    }
+    return next;
+}
+
+// Invitees credited to each inviter within a time range, counting only relationships that are
+// still active and not flagged as fake, plus adjustments made in the range.
+// Returns [{ inviterId, count }], highest first.
+function getPeriodStandings(data, guildId, range) {
+    const counts = {};
+    for (const records of Object.values(getGuildJoinHistory(data, guildId))) {
+        for (const record of records) {
+            if (!record.inviterId || record.leftAt || record.removedAt || isFakeRecord(record)) continue;
+            const joinedAt = Date.parse(record.joinedAt);
+            if (Number.isNaN(joinedAt) || joinedAt < range.from || joinedAt >= range.to) continue;
+            counts[record.inviterId] = (counts[record.inviterId] || 0) + 1;
+        }
+    }
+    for (const userId of getAdjustedUserIds(data, guildId)) {
+        counts[userId] = Math.max((counts[userId] || 0) + getBonusTotal(data, guildId, userId, range), 0);
+    }
+    return Object.entries(counts)
+        .filter(([, count]) => count > 0)
+        .map(([inviterId, count]) => ({ inviterId, count }))
+        .sort((a, b) => b.count - a.count);
+}
+
+// Close a season for a guild and archive its standings. Returns the archive.
+function archiveSeason(data, guildId, season, closedBy, now = Date.now()) {
+    const to = Math.min(season.end, now);
+    const archive = {
+        seasonId: season.id,
+        name: season.name,
+        start: season.start,
+        end: season.end,
+        closedAt: now,
+        closedBy,
+        standings: getPeriodStandings(data, guildId, { from: season.start, to })
+    };
+    if (!data.seasonArchives) data.seasonArchives = {};
+    if (!data.seasonArchives[guildId]) data.seasonArchives[guildId] = {};
+    data.seasonArchives[guildId][season.id] = archive;
+    return archive;
+}
+
+module.exports = {
+    CURRENT_SEASON,
+    getSeasons,
+    getSeasonArchive,
+    getSeasonEnd,
+    getCurrentSeason,
+    findSeason,
+    resolvePeriod,
+    validatePeriod,
+    getNextSeasonBoundary,
+    getPeriodStandings,
+    archiveSeason
+};
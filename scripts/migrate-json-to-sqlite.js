@@ -0,0 +1,95 @@
+// One-shot import of inviteData.json and the audit log (auditLog.jsonl, or rewardHistory.jsonl
+// from older versions) into the SQLite backend.
+// Usage: node scripts/migrate-json-to-sqlite.js [--force]
+//   --force  overwrite a database that already contains data
+const path = require('path');
+const { normalizeInviteData } = require('../storage/schema');
+const { createJsonStorage, readAuditLogFile } = require('../storage/jsonStorage');
+const { createSqliteStorage } = require('../storage/sqliteStorage');
+
+const rootDir = path.join(__dirname, '..');
+
+function readStorageConfig() {
+    try {
+        return require(path.join(rootDir, 'config.json')).storage || {};
+    } catch (error) {
+        return {};
+    }
+}
+
+// Import the JSON backend's files in `baseDir` into `sqliteFile`. Returns { data, auditEntries }
+// (data is null when there was no readable inviteData.json), or throws if the database already
+// has data and `force` is not set.
+async function migrateJsonToSqlite({ baseDir, sqliteFile, force = false }) {
+    const source = createJsonStorage({ dataFile: path.join(baseDir, 'inviteData.json') });
+    const raw = await source.load();
+    if (!raw) return { data: null, auditEntries: 0 };
+    const data = normalizeInviteData(raw);
+
+    // Reward history that was never renamed to the audit log is older, so it goes first
+    const auditEntries = [
+        ...await readAuditLogFile(path.join(baseDir, 'rewardHistory.jsonl')),
+        ...await readAuditLogFile(path.join(baseDir, 'auditLog.jsonl'))
+    ];
+
+    const target = createSqliteStorage({ file: sqliteFile });
+    try {
+        if (!target.isEmpty() && !force) {
+            throw new Error(`${sqliteFile} already contains data. Re-run with --force to overwrite it.`);
+        }
+
+        // Loading first lets save() clear guilds that exist only in the old database
+        await target.load();
+        await target.save(data);
+
+        // With --force the imported guilds' entries replace the ones already in the database
+        for (const guildId of new Set(auditEntries.map(entry => entry.guildId))) {
+            await target.deleteAuditEntries(guildId);
+        }
+        for (const entry of auditEntries) {
+            await target.recordAuditEntry(entry);
+        }
+    } finally {
+        await target.close();
+    }
+    return { data, auditEntries: auditEntries.length };
+}
+
+async function main() {
+    const force = process.argv.includes('--force');
+    const storageConfig = readStorageConfig();
+    const sqliteFile = path.resolve(rootDir, storageConfig.sqliteFile || 'inviteData.sqlite');
+
+    let result;
+    try {
+        result = await migrateJsonToSqlite({ baseDir: rootDir, sqliteFile, force });
+    } catch (error) {
+        console.error(error.message);
+        process.exitCode = 1;
+        return;
+    }
+    const { data, auditEntries } = result;
+    if (!data) {
+        console.error('No readable inviteData.json found; nothing to migrate.');
+        process.exitCode = 1;
+        return;
+    }
+
+    const relationships = Object.values(data.memberInvites)
+        .reduce((sum, guildInvites) => sum + Object.values(guildInvites).reduce((s, arr) => s + arr.length, 0), 0);
+    console.log(`Imported ${relationships} relationships across ${Object.keys(data.memberInvites).length} guilds into ${sqliteFile}`);
+    console.log(`Imported ${auditEntries} audit log entries`);
+    if (data.legacyMemberInvites) {
+        console.log('Legacy (pre per-guild) relationships were kept and will be assigned to guilds when the bot starts.');
+    }
+    console.log('Set "storage": { "type": "sqlite" } in config.json to start using it.');
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error('Migration failed:', error);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { migrateJsonToSqlite };
@@ -0,0 +1,60 @@
+// Coalesces frequent save requests into occasional writes. Writes never overlap: a request
+// made while a write is in progress schedules exactly one more write after it.
+function createDebouncedSaver(write, { delayMs = 1000, maxWaitMs = 5000, onError } = {}) {
+    let timer = null;
+    let firstRequestAt = null;
+    let writing = null;
+    let dirty = false;
+
+    function clearTimer() {
+        if (timer) clearTimeout(timer);
+        timer = null;
+    }
+
+    async function flush() {
+        clearTimer();
+        firstRequestAt = null;
+
+        if (writing) {
+            // Wait for the in-flight write, then write again if anything changed meanwhile
+            await writing;
+            if (dirty) return flush();
+            return;
+        }
+        if (!dirty) return;
+
+        dirty = false;
+        writing = (async () => {
+            try {
+                await write();
+            } catch (error) {
+                if (onError) onError(error);
+                // Try again later rather than waiting for the next change to request a save
+                schedule();
+            } finally {
+                writing = null;
+            }
+        })();
+        await writing;
+    }
+
+    function schedule() {
+        dirty = true;
+        const now = Date.now();
+        if (firstRequestAt === null) firstRequestAt = now;
+
+        clearTimer();
+        const wait = Math.max(0, Math.min(delayMs, firstRequestAt + maxWaitMs - now));
+        timer = setTimeout(() => {
+            flush().catch(() => {});
+        }, wait);
+    }
+
+    return {
+        schedule,
+        flush,
+        isDirty: () => dirty || !!writing
+    };
+}
+
+module.exports = { createDebouncedSaver };
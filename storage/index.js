@@ -0,0 +1,41 @@
+// Storage backend selection. Every backend exposes the same interface:
+//   load()                    -> stored data object, or null if nothing is stored yet
+//   save(data)                -> persist the full data object
+//   recordAuditEntry(entry)   -> append one reward role change or admin action (lib/auditLog.js)
+//   queryAuditEntries(filter) -> audit entries for { guildId, userId?, type?, from?, to?, limit? }, newest first
+//   deleteAuditEntries(guildId) -> drop a guild's audit entries; returns how many were removed
+//   close()
+const path = require('path');
+const { createJsonStorage } = require('./jsonStorage');
+const { createSqliteStorage } = require('./sqliteStorage');
+const schema = require('./schema');
+
+const STORAGE_TYPES = ['json', 'sqlite'];
+
+// Build the configured backend. `storageConfig` is the `storage` section of config.json;
+// the INVITE_STORAGE environment variable overrides its `type`.
+function createStorage(baseDir, storageConfig = {}) {
+    const type = (process.env.INVITE_STORAGE || storageConfig.type || 'json').toLowerCase();
+
+    if (type === 'sqlite') {
+        const file = path.resolve(baseDir, storageConfig.sqliteFile || 'inviteData.sqlite');
+        return createSqliteStorage({ file });
+    }
+
+    if (type !== 'json') {
+        console.warn(`Unknown storage type "${type}", falling back to json (supported: ${STORAGE_TYPES.join(', ')})`);
+    }
+
+    return createJsonStorage({
+        dataFile: path.join(baseDir, 'inviteData.json'),
+        memberInvitesFile: path.join(baseDir, 'memberInvites.json'),
+        auditLogFile: path.join(baseDir, 'auditLog.jsonl'),
+        legacyRewardHistoryFile: path.join(baseDir, 'rewardHistory.jsonl')
+    });
+}
+
+module.exports = {
+    STORAGE_TYPES,
+    createStorage,
+    ...schema
+};
@@ -0,0 +1,160 @@
+// JSON file storage backend (default). Keeps everything in inviteData.json, mirrors a
+// human-readable summary of memberInvites to memberInvites.json and appends the audit log to
+// auditLog.jsonl.
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const { getGuildInviterStats } = require('../lib/joinHistory');
+const { matchesAuditFilter } = require('../lib/auditLog');
+
+// Write to a temp file next to the target, then rename over it, so a crash mid-write
+// never leaves a truncated file behind
+async function writeFileAtomic(file, contents) {
+    const tmpFile = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tmpFile, contents, 'utf8');
+    await fs.rename(tmpFile, file);
+}
+
+// Save memberInvites data to a separate readable file
+async function saveMemberInvitesFile(memberInvitesFile, data) {
+    const memberInvites = data.memberInvites || {};
+    const joinSources = data.joinSources || {};
+    try {
+        // Create a formatted version with metadata
+        const formattedData = {
+            lastUpdated: new Date().toISOString(),
+            totalInviters: 0,
+            totalInvitees: 0,
+            memberInvites: memberInvites,
+            joinSources: joinSources, // guildId -> { invite, ambiguous, vanity, discovery, unknown }
+            summary: {}
+        };
+        
+        // Create per-guild summary with counts
+        for (const [guildId, guildInvites] of Object.entries(memberInvites)) {
+            formattedData.summary[guildId] = {};
+            const guildStats = getGuildInviterStats(data, guildId);
+            for (const [inviterId, inviteeIds] of Object.entries(guildInvites)) {
+                const stats = guildStats[inviterId] || { active: inviteeIds.length, left: 0, rejoined: 0 };
+                formattedData.summary[guildId][inviterId] = {
+                    inviteeCount: inviteeIds.length,
+                    inviteeIds: inviteeIds,
+                    active: stats.active,
+                    left: stats.left,
+                    fake: stats.fake || 0,
+                    rejoined: stats.rejoined
+                };
+                formattedData.totalInviters++;
+                formattedData.totalInvitees += inviteeIds.length;
+            }
+        }
+        
+        await writeFileAtomic(memberInvitesFile, JSON.stringify(formattedData, null, 2));
+        
+        // Verify file was created
+        const fileExists = fsSync.existsSync(memberInvitesFile);
+        if (fileExists) {
+            console.log(`✓ memberInvites.json file saved successfully`);
+        } else {
+            console.warn(`⚠ Warning: memberInvites.json file may not have been created`);
+        }
+    } catch (error) {
+        console.error('Error saving memberInvites file:', error);
+        console.error(`File path attempted: ${memberInvitesFile}`);
+    }
+}
+
+// Every entry in an audit log file, oldest first ([] if the file does not exist)
+async function readAuditLogFile(file) {
+    let raw;
+    try {
+        raw = await fs.readFile(file, 'utf8');
+    } catch (error) {
+        return [];
+    }
+    const entries = [];
+    for (const line of raw.split('\n')) {
+        if (!line.trim()) continue;
+        try {
+            entries.push(JSON.parse(line));
+        } catch (error) {
+            // A line cut short by a crash; skip it
+        }
+    }
+    return entries;
+}
+
+function createJsonStorage({ dataFile, memberInvitesFile, auditLogFile, legacyRewardHistoryFile }) {
+    // The audit log started out as reward history; its entries are valid audit entries, so the
+    // old file simply becomes the audit log
+    let auditLogReady = null;
+    const prepareAuditLog = () => {
+        if (!auditLogReady) {
+            auditLogReady = (async () => {
+                if (!legacyRewardHistoryFile || fsSync.existsSync(auditLogFile) || !fsSync.existsSync(legacyRewardHistoryFile)) return;
+                await fs.rename(legacyRewardHistoryFile, auditLogFile);
+                console.log(`Moved ${path.basename(legacyRewardHistoryFile)} to ${path.basename(auditLogFile)}`);
+            })();
+        }
+        return auditLogReady;
+    };
+    // Appends and rewrites of the audit log run one at a time, so a purge never drops a new line
+    let auditWrites = Promise.resolve();
+    const writeAuditLog = task => {
+        const result = auditWrites.then(prepareAuditLog).then(task);
+        auditWrites = result.catch(() => {});
+        return result;
+    };
+
+    return {
+        name: 'json',
+
+        // Returns the raw stored object, or null if nothing usable is stored yet
+        async load() {
+            try {
+                const raw = await fs.readFile(dataFile, 'utf8');
+                return JSON.parse(raw);
+            } catch (error) {
+                return null;
+            }
+        },
+
+        async save(data) {
+            await writeFileAtomic(dataFile, JSON.stringify(data, null, 2));
+            // Also save memberInvites to a separate readable file
+            if (memberInvitesFile) {
+                await saveMemberInvitesFile(memberInvitesFile, data);
+            }
+        },
+
+        // The audit log is append-only (one JSON object per line) so it never rewrites old entries
+        async recordAuditEntry(entry) {
+            if (!auditLogFile) return;
+            await writeAuditLog(() => fs.appendFile(auditLogFile, JSON.stringify(entry) + '\n', 'utf8'));
+        },
+
+        // Newest first. The whole file is read, which is fine for the sizes a single bot produces.
+        async queryAuditEntries({ guildId, userId = null, type = null, from = null, to = null, limit = 100 }) {
+            if (!auditLogFile) return [];
+            await prepareAuditLog();
+            const entries = await readAuditLogFile(auditLogFile);
+            return entries.filter(entry => matchesAuditFilter(entry, { guildId, userId, type, from, to })).reverse().slice(0, limit);
+        },
+
+        // Drop a guild's entries (when its data is purged). Returns how many were removed.
+        async deleteAuditEntries(guildId) {
+            if (!auditLogFile) return 0;
+            return writeAuditLog(async () => {
+                const entries = await readAuditLogFile(auditLogFile);
+                const kept = entries.filter(entry => entry.guildId !== guildId);
+                if (kept.length === entries.length) return 0;
+                await writeFileAtomic(auditLogFile, kept.map(entry => JSON.stringify(entry) + '\n').join(''));
+                return entries.length - kept.length;
+            });
+        },
+
+        async close() {}
+    };
+}
+
+module.exports = { createJsonStorage, readAuditLogFile, saveMemberInvitesFile, writeFileAtomic };
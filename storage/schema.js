@@ -0,0 +1,87 @@
+// Shape of the persisted invite data, shared by every storage backend
+
+// Current shape of the invite data. Version 2 scopes memberInvites per guild.
+const DATA_SCHEMA_VERSION = 2;
+
+// Default (empty) invite data structure
+function createEmptyInviteData() {
+    return {
+        schemaVersion: DATA_SCHEMA_VERSION,
+        invites: {},
+        inviteCodes: {}, // Tracks invite usage for detecting new joins
+        memberInvites: {}, // PERSISTENT: Maps guildId -> inviterId -> [inviteeIds]. This data persists independently of invite existence and maintains role rewards even if invites expire/delete
+        inviteCatalogues: {}, // Full catalogue of all active invites
+        joinAttributions: {}, // guildId -> memberId -> { inviterId, code, confidence, candidates }
+        unclaimedInviteUses: {}, // guildId -> invite uses seen but not yet claimed by a join
+        vanitySnapshots: {}, // guildId -> { code, uses } of the vanity URL
+        joinSources: {}, // guildId -> lifetime join counts per source
+        joinHistory: {}, // guildId -> inviteeId -> [relationship records] (see lib/joinHistory.js)
+        suppressedCredits: {}, // guildId -> [joins that were not credited, with the reason]
+        pendingMaturations: {}, // guildId -> [{ inviterId, inviteeId, dueAt }] re-evaluations waiting on time (see lib/maturity.js)
+        inviteeRoleSince: {}, // guildId -> memberId -> roleId -> when the invitee was first seen with the role
+        seasonArchives: {}, // guildId -> seasonId -> { closedAt, closedBy, standings } (see lib/seasons.js)
+        inviteAdjustments: {}, // guildId -> userId -> [{ amount, reason, by, at }] staff bonus/penalty (see lib/adjustments.js)
+        guildConfigs: {}, // guildId -> { rewardRules?, logChannelId? } set with /invite-config (see lib/guildConfig.js)
+        inviteCodesSeenAt: {}, // guildId -> when the inviteCodes snapshot was last refreshed (offline joins are looked for after it)
+        offlineJoinReviews: {}, // guildId -> [{ memberId, joinedAt, candidates, detectedAt }] offline joins awaiting an admin (see lib/offlineJoins.js)
+        archivedGuilds: {}, // guildId -> { name, archivedAt, data } for guilds the bot left (see lib/guildRetention.js)
+        commandVersions: {}, // guildId -> version of the slash command set last synced to the guild (see lib/commandRegistry.js)
+        globalCommandsVersion: null // version of the global slash command set last synced
+    };
+}
+
+// Top-level keys holding per-guild maps (guildId -> ...). Add new per-guild keys here so they are
+// archived and purged with the rest of a guild's data (see lib/guildRetention.js).
+const GUILD_DATA_KEYS = [
+    'memberInvites',
+    'joinAttributions',
+    'joinSources',
+    'joinHistory',
+    'suppressedCredits',
+    'pendingMaturations',
+    'inviteeRoleSince',
+    'seasonArchives',
+    'inviteAdjustments',
+    'guildConfigs',
+    'offlineJoinReviews'
+];
+
+// Per-guild invite snapshots. They describe the guild at one moment and are rebuilt when the
+// bot (re)joins, so they are dropped instead of archived.
+const GUILD_SNAPSHOT_KEYS = ['inviteCodes', 'inviteCatalogues', 'unclaimedInviteUses', 'vanitySnapshots', 'inviteCodesSeenAt', 'commandVersions'];
+
+// Detect the pre-v2 layout where memberInvites was keyed directly by inviter ID
+function isLegacyMemberInvites(memberInvites) {
+    return Object.values(memberInvites || {}).some(value => Array.isArray(value));
+}
+
+// Bring loaded data up to the current shape. Legacy (global) relationships are parked in
+// legacyMemberInvites until the guilds they belong to can be resolved at ClientReady.
+function normalizeInviteData(data) {
+    const defaults = createEmptyInviteData();
+    for (const key of Object.keys(defaults)) {
+        if (data[key] === undefined || data[key] === null) data[key] = defaults[key];
+    }
+
+    if (isLegacyMemberInvites(data.memberInvites)) {
+        const legacy = data.legacyMemberInvites || {};
+        for (const [inviterId, inviteeIds] of Object.entries(data.memberInvites)) {
+            if (!Array.isArray(inviteeIds)) continue;
+            legacy[inviterId] = [...new Set([...(legacy[inviterId] || []), ...inviteeIds])];
+        }
+        data.legacyMemberInvites = legacy;
+        data.memberInvites = {};
+    }
+
+    data.schemaVersion = DATA_SCHEMA_VERSION;
+    return data;
+}
+
+module.exports = {
+    DATA_SCHEMA_VERSION,
+    GUILD_DATA_KEYS,
+    GUILD_SNAPSHOT_KEYS,
+    createEmptyInviteData,
+    isLegacyMemberInvites,
+    normalizeInviteData
+};
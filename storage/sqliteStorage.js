@@ -0,0 +1,299 @@
+// SQLite storage backend. Relationships, join history, invite snapshots and the audit log
+// live in their own tables; any other top-level data is kept as JSON in the meta table.
+// Only guilds whose data changed since the last save are rewritten.
+
+const SNAPSHOT_KINDS = {
+    inviteCodes: 'codes',
+    inviteCatalogues: 'catalogue'
+};
+
+// Top-level keys with their own tables (everything else goes to meta)
+const TABLE_SECTIONS = ['memberInvites', 'joinHistory'];
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS meta (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS relationships (
+        guild_id TEXT NOT NULL,
+        inviter_id TEXT NOT NULL,
+        invitee_id TEXT NOT NULL,
+        position INTEGER NOT NULL,
+        PRIMARY KEY (guild_id, inviter_id, invitee_id)
+    );
+    CREATE INDEX IF NOT EXISTS idx_relationships_invitee ON relationships (guild_id, invitee_id);
+    CREATE TABLE IF NOT EXISTS invite_snapshots (
+        guild_id TEXT NOT NULL,
+        kind TEXT NOT NULL,
+        code TEXT NOT NULL,
+        data TEXT NOT NULL,
+        PRIMARY KEY (guild_id, kind, code)
+    );
+    CREATE TABLE IF NOT EXISTS join_history (
+        guild_id TEXT NOT NULL,
+        invitee_id TEXT NOT NULL,
+        seq INTEGER NOT NULL,
+        inviter_id TEXT,
+        code TEXT,
+        source TEXT,
+        joined_at TEXT,
+        left_at TEXT,
+        data TEXT NOT NULL,
+        PRIMARY KEY (guild_id, invitee_id, seq)
+    );
+    CREATE INDEX IF NOT EXISTS idx_join_history_inviter ON join_history (guild_id, inviter_id);
+    CREATE TABLE IF NOT EXISTS audit_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        guild_id TEXT NOT NULL,
+        type TEXT NOT NULL,
+        user_id TEXT,
+        actor_id TEXT,
+        action TEXT NOT NULL,
+        role_id TEXT,
+        created_at TEXT NOT NULL,
+        data TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_audit_log_time ON audit_log (guild_id, created_at);
+    CREATE INDEX IF NOT EXISTS idx_audit_log_user ON audit_log (guild_id, user_id, created_at);
+    CREATE INDEX IF NOT EXISTS idx_audit_log_actor ON audit_log (guild_id, actor_id, created_at);
+`;
+
+// Databases written before the audit log kept reward role changes in reward_history; they
+// become the first audit entries
+function migrateRewardHistory(db) {
+    const legacy = db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'reward_history'").get();
+    if (!legacy) return;
+    db.transaction(() => {
+        db.exec(`
+            INSERT INTO audit_log (guild_id, type, user_id, action, role_id, created_at, data)
+            SELECT guild_id, 'reward', user_id, action, role_id, created_at,
+                json_object('type', 'reward', 'guildId', guild_id, 'userId', user_id, 'action', action,
+                    'roleId', role_id, 'roleName', role_name, 'reason', reason, 'timestamp', created_at)
+            FROM reward_history ORDER BY id;
+            DROP TABLE reward_history;
+        `);
+    })();
+}
+
+function openDatabase(file) {
+    let Database;
+    try {
+        Database = require('better-sqlite3');
+    } catch (error) {
+        throw new Error('The sqlite storage backend requires the "better-sqlite3" package. Run `npm install better-sqlite3` or switch storage.type back to "json".');
+    }
+    const db = new Database(file);
+    db.pragma('journal_mode = WAL');
+    db.exec(SCHEMA);
+    migrateRewardHistory(db);
+    return db;
+}
+
+function createSqliteStorage({ file }) {
+    const db = openDatabase(file);
+
+    const statements = {
+        allMeta: db.prepare('SELECT key, value FROM meta'),
+        upsertMeta: db.prepare('INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value'),
+        deleteMeta: db.prepare('DELETE FROM meta WHERE key = ?'),
+        allRelationships: db.prepare('SELECT guild_id, inviter_id, invitee_id FROM relationships ORDER BY guild_id, inviter_id, position'),
+        deleteGuildRelationships: db.prepare('DELETE FROM relationships WHERE guild_id = ?'),
+        insertRelationship: db.prepare('INSERT OR IGNORE INTO relationships (guild_id, inviter_id, invitee_id, position) VALUES (?, ?, ?, ?)'),
+        allSnapshots: db.prepare('SELECT guild_id, kind, code, data FROM invite_snapshots'),
+        deleteGuildSnapshots: db.prepare('DELETE FROM invite_snapshots WHERE guild_id = ? AND kind = ?'),
+        insertSnapshot: db.prepare('INSERT INTO invite_snapshots (guild_id, kind, code, data) VALUES (?, ?, ?, ?)'),
+        allJoinHistory: db.prepare('SELECT guild_id, invitee_id, data FROM join_history ORDER BY guild_id, invitee_id, seq'),
+        deleteGuildJoinHistory: db.prepare('DELETE FROM join_history WHERE guild_id = ?'),
+        insertJoinRecord: db.prepare('INSERT INTO join_history (guild_id, invitee_id, seq, inviter_id, code, source, joined_at, left_at, data) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)'),
+        insertAudit: db.prepare('INSERT INTO audit_log (guild_id, type, user_id, actor_id, action, role_id, created_at, data) VALUES (?, ?, ?, ?, ?, ?, ?, ?)'),
+        deleteGuildAudit: db.prepare('DELETE FROM audit_log WHERE guild_id = ?'),
+        queryAudit: db.prepare(`
+            SELECT data FROM audit_log
+            WHERE guild_id = @guildId
+                AND (@userId IS NULL OR user_id = @userId OR actor_id = @userId)
+                AND (@type IS NULL OR type = @type)
+                AND (@from IS NULL OR created_at >= @from)
+                AND (@to IS NULL OR created_at < @to)
+            ORDER BY created_at DESC, id DESC
+            LIMIT @limit
+        `)
+    };
+
+    // JSON of each section as last loaded/saved, used to skip unchanged guilds and keys
+    const lastSaved = new Map();
+
+    function isEmpty() {
+        const meta = db.prepare('SELECT COUNT(*) AS n FROM meta').get().n;
+        const rels = db.prepare('SELECT COUNT(*) AS n FROM relationships').get().n;
+        const history = db.prepare('SELECT COUNT(*) AS n FROM join_history').get().n;
+        return meta === 0 && rels === 0 && history === 0;
+    }
+
+    function readAll() {
+        const data = {};
+
+        for (const row of statements.allMeta.all()) {
+            data[row.key] = JSON.parse(row.value);
+            lastSaved.set(`meta:${row.key}`, row.value);
+        }
+
+        data.memberInvites = {};
+        for (const row of statements.allRelationships.all()) {
+            const guildInvites = data.memberInvites[row.guild_id] || (data.memberInvites[row.guild_id] = {});
+            if (!guildInvites[row.inviter_id]) guildInvites[row.inviter_id] = [];
+            guildInvites[row.inviter_id].push(row.invitee_id);
+        }
+        for (const [guildId, guildInvites] of Object.entries(data.memberInvites)) {
+            lastSaved.set(`memberInvites:${guildId}`, JSON.stringify(guildInvites));
+        }
+
+        data.joinHistory = {};
+        for (const row of statements.allJoinHistory.all()) {
+            const guildHistory = data.joinHistory[row.guild_id] || (data.joinHistory[row.guild_id] = {});
+            if (!guildHistory[row.invitee_id]) guildHistory[row.invitee_id] = [];
+            guildHistory[row.invitee_id].push(JSON.parse(row.data));
+        }
+        for (const [guildId, guildHistory] of Object.entries(data.joinHistory)) {
+            lastSaved.set(`joinHistory:${guildId}`, JSON.stringify(guildHistory));
+        }
+
+        for (const key of Object.keys(SNAPSHOT_KINDS)) data[key] = {};
+        const kindToKey = Object.fromEntries(Object.entries(SNAPSHOT_KINDS).map(([k, v]) => [v, k]));
+        for (const row of statements.allSnapshots.all()) {
+            const key = kindToKey[row.kind];
+            if (!key) continue;
+            const guildSnapshot = data[key][row.guild_id] || (data[key][row.guild_id] = {});
+            guildSnapshot[row.code] = JSON.parse(row.data);
+        }
+        for (const key of Object.keys(SNAPSHOT_KINDS)) {
+            for (const [guildId, snapshot] of Object.entries(data[key])) {
+                lastSaved.set(`${key}:${guildId}`, JSON.stringify(snapshot));
+            }
+        }
+
+        return data;
+    }
+
+    // Rewrite every guild of a per-guild section whose content changed; clear guilds that disappeared
+    function writeGuildSection(section, sectionData, writeGuild, clearGuild) {
+        const seen = new Set();
+        for (const [guildId, value] of Object.entries(sectionData || {})) {
+            seen.add(guildId);
+            const json = JSON.stringify(value);
+            if (lastSaved.get(`${section}:${guildId}`) === json) continue;
+            clearGuild(guildId);
+            writeGuild(guildId, value);
+            lastSaved.set(`${section}:${guildId}`, json);
+        }
+        for (const key of [...lastSaved.keys()]) {
+            if (!key.startsWith(`${section}:`)) continue;
+            const guildId = key.slice(section.length + 1);
+            if (seen.has(guildId)) continue;
+            clearGuild(guildId);
+            lastSaved.delete(key);
+        }
+    }
+
+    const writeAll = db.transaction((data) => {
+        writeGuildSection('memberInvites', data.memberInvites,
+            (guildId, guildInvites) => {
+                for (const [inviterId, inviteeIds] of Object.entries(guildInvites)) {
+                    inviteeIds.forEach((inviteeId, index) => {
+                        statements.insertRelationship.run(guildId, inviterId, inviteeId, index);
+                    });
+                }
+            },
+            (guildId) => statements.deleteGuildRelationships.run(guildId)
+        );
+
+        writeGuildSection('joinHistory', data.joinHistory,
+            (guildId, guildHistory) => {
+                for (const [inviteeId, records] of Object.entries(guildHistory)) {
+                    records.forEach((record, seq) => {
+                        statements.insertJoinRecord.run(
+                            guildId, inviteeId, seq,
+                            record.inviterId || null, record.code || null, record.source || null,
+                            record.joinedAt || null, record.leftAt || null,
+                            JSON.stringify(record)
+                        );
+                    });
+                }
+            },
+            (guildId) => statements.deleteGuildJoinHistory.run(guildId)
+        );
+
+        for (const [key, kind] of Object.entries(SNAPSHOT_KINDS)) {
+            writeGuildSection(key, data[key],
+                (guildId, snapshot) => {
+                    for (const [code, invite] of Object.entries(snapshot)) {
+                        statements.insertSnapshot.run(guildId, kind, code, JSON.stringify(invite));
+                    }
+                },
+                (guildId) => statements.deleteGuildSnapshots.run(guildId, kind)
+            );
+        }
+
+        // Everything else is stored as JSON in meta
+        const metaKeys = new Set();
+        for (const [key, value] of Object.entries(data)) {
+            if (TABLE_SECTIONS.includes(key) || SNAPSHOT_KINDS[key] || value === undefined) continue;
+            metaKeys.add(key);
+            const json = JSON.stringify(value);
+            if (lastSaved.get(`meta:${key}`) === json) continue;
+            statements.upsertMeta.run(key, json);
+            lastSaved.set(`meta:${key}`, json);
+        }
+        for (const cacheKey of [...lastSaved.keys()]) {
+            if (!cacheKey.startsWith('meta:')) continue;
+            const key = cacheKey.slice('meta:'.length);
+            if (metaKeys.has(key)) continue;
+            statements.deleteMeta.run(key);
+            lastSaved.delete(cacheKey);
+        }
+    });
+
+    return {
+        name: 'sqlite',
+
+        // Returns the stored data, or null if the database has never been written
+        async load() {
+            if (isEmpty()) return null;
+            return readAll();
+        },
+
+        async save(data) {
+            writeAll(data);
+        },
+
+        async recordAuditEntry(entry) {
+            statements.insertAudit.run(
+                entry.guildId,
+                // Reward history entries written before the audit log have no type
+                entry.type || 'reward',
+                entry.userId || null,
+                entry.actorId || null,
+                entry.action,
+                entry.roleId || null,
+                entry.timestamp || new Date().toISOString(),
+                JSON.stringify(entry)
+            );
+        },
+
+        async queryAuditEntries({ guildId, userId = null, type = null, from = null, to = null, limit = 100 }) {
+            return statements.queryAudit.all({ guildId, userId, type, from, to, limit }).map(row => JSON.parse(row.data));
+        },
+
+        async deleteAuditEntries(guildId) {
+            return statements.deleteGuildAudit.run(guildId).changes;
+        },
+
+        isEmpty,
+
+        async close() {
+            db.close();
+        }
+    };
+}
+
+module.exports = { createSqliteStorage };
@@ -0,0 +1,66 @@
+// Audit log storage: migration to SQLite and purging a guild's entries
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { buildRewardEntry, buildAdminEntry } = require('../lib/auditLog');
+const { createJsonStorage } = require('../storage/jsonStorage');
+
+// better-sqlite3 is an optional dependency
+let hasSqlite = true;
+try {
+    require.resolve('better-sqlite3');
+} catch (error) {
+    hasSqlite = false;
+}
+
+function makeTempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'invite-audit-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+const writeLines = (file, entries) => fs.writeFileSync(file, entries.map(entry => JSON.stringify(entry) + '\n').join(''));
+
+const legacyEntry = { guildId: 'g1', userId: 'u1', roleId: 'r1', roleName: 'Old', action: 'add', reason: 'join: rule x met', timestamp: '2026-01-05T10:00:00.000Z' };
+const rewardEntry = buildRewardEntry({
+    guildId: 'g1', userId: 'u1', role: { id: 'r2', name: 'Gold' }, action: 'add', rule: 'rule gold',
+    trigger: 'join', counts: { invitees: 3, bonus: 0 }, reason: 'join: rule gold met', now: Date.parse('2026-02-01T00:00:00Z')
+});
+const adminEntry = buildAdminEntry({ guildId: 'g2', actorId: 'a1', action: 'invites adjust', userId: 'u2', details: '+2', now: Date.parse('2026-02-02T00:00:00Z') });
+
+test('purging a guild deletes its entries from the JSON audit log', async (t) => {
+    const dir = makeTempDir(t);
+    const storage = createJsonStorage({ dataFile: path.join(dir, 'inviteData.json'), auditLogFile: path.join(dir, 'auditLog.jsonl') });
+    for (const entry of [rewardEntry, adminEntry]) await storage.recordAuditEntry(entry);
+
+    assert.strictEqual(await storage.deleteAuditEntries('g1'), 1);
+    assert.deepStrictEqual(await storage.queryAuditEntries({ guildId: 'g1' }), []);
+    assert.deepStrictEqual(await storage.queryAuditEntries({ guildId: 'g2' }), [adminEntry]);
+});
+
+test('audit entries survive migration to SQLite', { skip: !hasSqlite && 'better-sqlite3 is not installed' }, async (t) => {
+    const { migrateJsonToSqlite } = require('../scripts/migrate-json-to-sqlite');
+    const { createSqliteStorage } = require('../storage/sqliteStorage');
+    const dir = makeTempDir(t);
+    fs.writeFileSync(path.join(dir, 'inviteData.json'), JSON.stringify({ memberInvites: { g1: { u1: ['m1'] } } }));
+    writeLines(path.join(dir, 'rewardHistory.jsonl'), [legacyEntry]);
+    writeLines(path.join(dir, 'auditLog.jsonl'), [rewardEntry, adminEntry]);
+    const sqliteFile = path.join(dir, 'inviteData.sqlite');
+
+    const { auditEntries } = await migrateJsonToSqlite({ baseDir: dir, sqliteFile });
+    assert.strictEqual(auditEntries, 3);
+    // Running it again with --force must not duplicate them
+    await migrateJsonToSqlite({ baseDir: dir, sqliteFile, force: true });
+
+    const storage = createSqliteStorage({ file: sqliteFile });
+    t.after(() => storage.close());
+    const g1 = await storage.queryAuditEntries({ guildId: 'g1' });
+    assert.deepStrictEqual(g1, [rewardEntry, legacyEntry]);
+    assert.deepStrictEqual(await storage.queryAuditEntries({ guildId: 'g1', type: 'reward' }), g1);
+    assert.deepStrictEqual(await storage.queryAuditEntries({ guildId: 'g2', userId: 'a1' }), [adminEntry]);
+
+    assert.strictEqual(await storage.deleteAuditEntries('g1'), 2);
+    assert.deepStrictEqual(await storage.queryAuditEntries({ guildId: 'g1' }), []);
+});
@@ -0,0 +1,111 @@
+// Concurrent event handling: per-guild serialization (lib/keyedQueue.js) and coalesced saves
+// (storage/debouncedSaver.js), exercised with synthetic joins like the ones index.js queues.
+const test = require('node:test');
+const assert = require('node:assert');
+const { createKeyedQueue } = require('../lib/keyedQueue');
+const { createDebouncedSaver } = require('../storage/debouncedSaver');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// A join handler that reads the count, waits (like fetching invites) and writes it back. Run
+// unqueued, overlapping handlers overwrite each other's increments.
+async function handleJoin(data, guildId, delayMs) {
+    const count = data[guildId] || 0;
+    await sleep(delayMs);
+    data[guildId] = count + 1;
+}
+
+test('tasks for one key run in order, one at a time', async () => {
+    const queue = createKeyedQueue();
+    const log = [];
+    let running = 0;
+    const tasks = [30, 5, 15, 0].map((delayMs, index) => queue.run('guild', async () => {
+        running++;
+        assert.strictEqual(running, 1);
+        await sleep(delayMs);
+        log.push(index);
+        running--;
+    }));
+    await Promise.all(tasks);
+    assert.deepStrictEqual(log, [0, 1, 2, 3]);
+    assert.strictEqual(queue.size(), 0);
+});
+
+test('different keys run independently', async () => {
+    const queue = createKeyedQueue();
+    const log = [];
+    await Promise.all([
+        queue.run('a', async () => { await sleep(30); log.push('a'); }),
+        queue.run('b', async () => { log.push('b'); })
+    ]);
+    assert.deepStrictEqual(log, ['b', 'a']);
+});
+
+test('a failed task does not block the next one for the same key', async () => {
+    const queue = createKeyedQueue();
+    const failed = queue.run('guild', async () => { throw new Error('boom'); });
+    const next = queue.run('guild', async () => 'ran');
+    await assert.rejects(failed, /boom/);
+    assert.strictEqual(await next, 'ran');
+});
+
+test('concurrent joins on the same guild lose no counts when queued', async () => {
+    const unqueued = {};
+    await Promise.all(Array.from({ length: 20 }, (_, i) => handleJoin(unqueued, 'g1', 20 - i)));
+    assert.ok(unqueued.g1 < 20, 'the unqueued handlers should show the lost update this guards against');
+
+    const queue = createKeyedQueue();
+    const data = {};
+    await Promise.all(Array.from({ length: 20 }, (_, i) => [
+        queue.run('g1', () => handleJoin(data, 'g1', 20 - i)),
+        queue.run('g2', () => handleJoin(data, 'g2', i % 3))
+    ]).flat());
+    assert.deepStrictEqual(data, { g1: 20, g2: 20 });
+});
+
+test('save requests are coalesced into one write with the latest data', async () => {
+    const data = { count: 0 };
+    const written = [];
+    const saver = createDebouncedSaver(async () => { written.push(data.count); }, { delayMs: 20, maxWaitMs: 100 });
+    for (let i = 0; i < 50; i++) {
+        data.count++;
+        saver.schedule();
+    }
+    assert.strictEqual(saver.isDirty(), true);
+    await sleep(60);
+    assert.deepStrictEqual(written, [50]);
+    assert.strictEqual(saver.isDirty(), false);
+});
+
+test('writes never overlap and a request during a write gets one more write', async () => {
+    let writing = 0;
+    let writes = 0;
+    const saver = createDebouncedSaver(async () => {
+        writing++;
+        assert.strictEqual(writing, 1);
+        await sleep(30);
+        writes++;
+        writing--;
+    }, { delayMs: 1000 });
+    saver.schedule();
+    const first = saver.flush();
+    saver.schedule();
+    saver.schedule();
+    await Promise.all([first, saver.flush()]);
+    assert.strictEqual(writes, 2);
+    assert.strictEqual(saver.isDirty(), false);
+});
+
+test('a failed write is retried without another save request', async () => {
+    let attempts = 0;
+    const errors = [];
+    const saver = createDebouncedSaver(async () => {
+        attempts++;
+        if (attempts === 1) throw new Error('disk full');
+    }, { delayMs: 20, onError: error => errors.push(error.message) });
+    saver.schedule();
+    await sleep(100);
+    assert.strictEqual(attempts, 2);
+    assert.deepStrictEqual(errors, ['disk full']);
+    assert.strictEqual(saver.isDirty(), false);
+});
@@ -0,0 +1,32 @@
+// Bonus adjustments in inviteeCount conditions (lib/conditions.js, lib/rewardRules.js)
+const test = require('node:test');
+const assert = require('node:assert');
+const { countForCondition } = require('../lib/conditions');
+const { getRewardRules } = require('../lib/rewardRules');
+
+const context = { bonus: () => 1 };
+const where = { type: 'hasAnyRole', roleIds: ['verified'] };
+
+test('the bonus is added to counts with or without where', () => {
+    assert.strictEqual(countForCondition([], { type: 'inviteeCount', min: 1 }, context), 1);
+    assert.strictEqual(countForCondition([], { type: 'inviteeCount', min: 1, where }, context), 1);
+});
+
+test('includeBonus: false counts real invitees only', () => {
+    assert.strictEqual(countForCondition([], { type: 'inviteeCount', min: 1, includeBonus: false }, context), 0);
+    assert.strictEqual(countForCondition([], { type: 'inviteeCount', min: 1, where, includeBonus: false }, context), 0);
+});
+
+test('converted thresholdRewards count the bonus', () => {
+    const { rules, errors } = getRewardRules({ thresholdRewards: [{ rewardRoleName: 'Recruiter', requiredRoleIds: ['verified'], threshold: 1 }] });
+    assert.deepStrictEqual(errors, []);
+    assert.strictEqual(rules[0].when.includeBonus, undefined);
+    assert.strictEqual(countForCondition([], rules[0].when, context), 1);
+});
+
+test('converted roleConfigs never count the bonus', () => {
+    const { rules, errors } = getRewardRules({ roleConfigs: [{ roleName: 'Recruiter', conditions: [where] }] });
+    assert.deepStrictEqual(errors, []);
+    assert.strictEqual(rules[0].when.includeBonus, false);
+    assert.strictEqual(countForCondition([], rules[0].when, context), 0);
+});
@@ -0,0 +1,28 @@
+// Consumed-and-deleted invites in lib/inviteAttribution.js
+const test = require('node:test');
+const assert = require('node:assert');
+const { CONFIDENCE, CONSUMED_DELETE_WINDOW_MS, attributeJoin, pruneDeletedInvites } = require('../lib/inviteAttribution');
+
+const now = Date.parse('2026-10-18T12:00:00Z');
+const snapshot = extra => ({
+    X: { code: 'X', uses: 0, maxUses: 1, inviterId: 'A', ...extra },
+    Y: { code: 'Y', uses: 5, inviterId: 'B' }
+});
+const afterJoin = { Y: { code: 'Y', uses: 5, inviterId: 'B' } };
+
+test('a single-use invite that vanishes with the join is credited', () => {
+    const result = attributeJoin({ oldInvites: snapshot({ deletedAt: now - 2000 }), newInvites: afterJoin, now });
+    assert.strictEqual(result.confidence, CONFIDENCE.CERTAIN);
+    assert.strictEqual(result.inviterId, 'A');
+});
+
+test('an unused invite revoked well before the join is not credited', () => {
+    const result = attributeJoin({ oldInvites: snapshot({ deletedAt: now - CONSUMED_DELETE_WINDOW_MS - 1 }), newInvites: afterJoin, now });
+    assert.strictEqual(result.confidence, CONFIDENCE.UNKNOWN);
+    assert.strictEqual(result.inviterId, null);
+});
+
+test('stale deleted invites are dropped from the snapshot', () => {
+    const invites = { ...snapshot({ deletedAt: now - CONSUMED_DELETE_WINDOW_MS - 1 }), Z: { code: 'Z', uses: 0, maxUses: 1, deletedAt: now } };
+    assert.deepStrictEqual(Object.keys(pruneDeletedInvites(invites, now)), ['Y', 'Z']);
+});
@@ -0,0 +1,30 @@
+// Startup join history sync (lib/joinHistory.js)
+const test = require('node:test');
+const assert = require('node:assert');
+const { syncJoinHistoryRecords, getJoinRecords, getInviterStats, addJoinRecord } = require('../lib/joinHistory');
+
+test('a relationship imported for a member who left while offline is closed', () => {
+    const data = { memberInvites: { g: { A: ['stayed', 'left'] } } };
+    const result = syncJoinHistoryRecords(data, 'g', { memberInvites: data.memberInvites.g, memberIds: new Set(['A', 'stayed']) });
+    assert.deepStrictEqual(result, { imported: 2, departed: 1 });
+    assert.ok(getJoinRecords(data, 'g', 'left')[0].leftAt);
+    assert.strictEqual(getJoinRecords(data, 'g', 'stayed')[0].leftAt, null);
+    const stats = getInviterStats(data, 'g', 'A');
+    assert.strictEqual(stats.active, 1);
+    assert.strictEqual(stats.left, 1);
+});
+
+test('existing records are not imported again and open ones of departed members are closed', () => {
+    const data = {};
+    addJoinRecord(data, 'g', { inviterId: 'A', inviteeId: 'gone' });
+    const result = syncJoinHistoryRecords(data, 'g', { memberInvites: { A: ['gone'] }, memberIds: new Set() });
+    assert.deepStrictEqual(result, { imported: 0, departed: 1 });
+    assert.strictEqual(getJoinRecords(data, 'g', 'gone').length, 1);
+});
+
+test('without a member list nobody is marked as left', () => {
+    const data = {};
+    const result = syncJoinHistoryRecords(data, 'g', { memberInvites: { A: ['x'] }, memberIds: null });
+    assert.deepStrictEqual(result, { imported: 1, departed: 0 });
+    assert.strictEqual(getJoinRecords(data, 'g', 'x')[0].leftAt, null);
+});